@@ -0,0 +1,102 @@
+/**
+ * Achievements: awarded server-side into users/{docId}/achievements. Each
+ * achievement has a deterministic document ID and is written with create(),
+ * so the same achievement is never awarded twice, even when streaks are
+ * recomputed or a trigger is retried.
+ */
+
+const ACHIEVEMENTS_SUBCOLLECTION = "achievements";
+
+/** currentStreak values that earn a milestone achievement. */
+const STREAK_MILESTONES = [3, 7, 30, 100];
+
+/** Firestore error code for create() on an existing document. */
+const ALREADY_EXISTS_CODE = 6;
+
+/**
+ * Returns the streak achievements earned by a users/{docId} update: every milestone crossed
+ * by currentStreak, and a personal best when bestStreak goes past a previous best (once per
+ * streak run, keyed by currentStreakStartedAt).
+ * @param {object} before - User data before the update
+ * @param {object} after - User data after the update
+ * @returns {object[]} Achievements ({ id, type, ... }), highest first
+ */
+function getStreakAchievements(before, after) {
+  const prevStreak = Number(before?.currentStreak) || 0;
+  const nextStreak = Number(after?.currentStreak) || 0;
+  const prevBest = Number(before?.bestStreak) || 0;
+  const nextBest = Number(after?.bestStreak) || 0;
+  const achievements = [];
+
+  for (const milestone of STREAK_MILESTONES) {
+    if (prevStreak < milestone && nextStreak >= milestone) {
+      achievements.push({id: `streak_${milestone}`, type: "streak_milestone", milestone, streak: nextStreak});
+    }
+  }
+
+  if (prevBest > 0 && nextBest > prevBest && nextStreak === nextBest) {
+    const run = after.currentStreakStartedAt || after.lastStreakProcessedDate || "unknown";
+    achievements.push({
+      id: `personal_best_${run}`,
+      type: "personal_best",
+      previousBest: prevBest,
+      streak: nextStreak,
+      runStartedAt: after.currentStreakStartedAt || null,
+    });
+  }
+
+  return achievements.sort((a, b) => b.streak - a.streak || (b.milestone || 0) - (a.milestone || 0));
+}
+
+/**
+ * Returns the per-task streak milestones earned by a users/{docId} update: every
+ * STREAK_MILESTONES value crossed by a task's currentStreak in taskStreaks
+ * (ID task_<key>_streak_<milestone>).
+ * @param {object} before - User data before the update
+ * @param {object} after - User data after the update
+ * @returns {object[]} Achievements ({ id, type, task, ... }), highest first
+ */
+function getTaskStreakAchievements(before, after) {
+  const achievements = [];
+  for (const [task, streak] of Object.entries(after?.taskStreaks || {})) {
+    const prevStreak = Number(before?.taskStreaks?.[task]?.currentStreak) || 0;
+    const nextStreak = Number(streak?.currentStreak) || 0;
+    for (const milestone of STREAK_MILESTONES) {
+      if (prevStreak < milestone && nextStreak >= milestone) {
+        achievements.push({
+          id: `task_${task}_streak_${milestone}`,
+          type: "task_streak_milestone",
+          task,
+          milestone,
+          streak: nextStreak,
+        });
+      }
+    }
+  }
+  return achievements.sort((a, b) => b.milestone - a.milestone);
+}
+
+/**
+ * Awards an achievement unless the user already has it.
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId}
+ * @param {{ id: string }} achievement - From getStreakAchievements (or another award source)
+ * @returns {Promise<boolean>} True if newly awarded
+ */
+async function awardAchievement(userRef, achievement) {
+  const {id, ...fields} = achievement;
+  try {
+    await userRef.collection(ACHIEVEMENTS_SUBCOLLECTION).doc(id).create({...fields, awardedAt: new Date()});
+    return true;
+  } catch (err) {
+    if (err.code === ALREADY_EXISTS_CODE) return false;
+    throw err;
+  }
+}
+
+module.exports = {
+  ACHIEVEMENTS_SUBCOLLECTION,
+  STREAK_MILESTONES,
+  getStreakAchievements,
+  getTaskStreakAchievements,
+  awardAchievement,
+};
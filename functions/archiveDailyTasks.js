@@ -0,0 +1,67 @@
+/**
+ * Firestore trigger: whenever daily_tasks/{userId} is written, archives that
+ * day's tasks to users/{userId}/daily_task_history/{taskDate} so the day
+ * survives the app overwriting the doc the next day. The first write of a day also puts a
+ * new or dormant user back on updateUserStreaksDaily's schedule.
+ */
+
+const {onDocumentWritten} = require("firebase-functions/v2/firestore");
+const {getFirestore} = require("firebase-admin/firestore");
+const {
+  getActiveTasks,
+  normalizeTaskDateToYYYYMMDD,
+  getDayBeforeYYYYMMDD,
+  getNextStreakProcessAt,
+  USERS_COLLECTION,
+} = require("./streaks");
+const {getTaskCatalog} = require("./config");
+const {dailyTaskHistoryRef, buildDailyTaskRecord} = require("./dailyTasks/history");
+
+const DAILY_TASKS_PATH = "daily_tasks/{userId}";
+
+const archiveDailyTasks = onDocumentWritten(
+  {
+    document: DAILY_TASKS_PATH,
+    region: "us-central1",
+  },
+  async (event) => {
+    const change = event.data;
+    if (!change || !change.after || !change.after.exists) return;
+
+    const before = change.before?.exists ? change.before.data() : {};
+    const after = change.after.data();
+    const userId = event.params.userId;
+    const date = normalizeTaskDateToYYYYMMDD(after.taskDate);
+    if (!date) return;
+
+    const db = getFirestore();
+    const catalog = await getTaskCatalog(db);
+
+    // Writes that only touch bookkeeping fields (e.g. lastStreakProcessedDate) change nothing
+    const sameDay = normalizeTaskDateToYYYYMMDD(before.taskDate) === date;
+    const tasksUnchanged = getActiveTasks(catalog, date)
+      .every(({key}) => (before[key] === true) === (after[key] === true));
+    if (sameDay && tasksUnchanged) return;
+
+    const ref = dailyTaskHistoryRef(db, userId, date);
+    const userRef = db.collection(USERS_COLLECTION).doc(userId);
+    await db.runTransaction(async (tx) => {
+      const [snap, userSnap] = await tx.getAll(...(sameDay ? [ref] : [ref, userRef]));
+      tx.set(ref, buildDailyTaskRecord(userId, after, snap.exists ? snap.data() : null, catalog));
+
+      // First write of a new day from a new or dormant user: updateUserStreaksDaily only reads
+      // users with nextStreakProcessAt, so schedule them. A new user starts two days back, so the
+      // day before this one is still closed.
+      if (userSnap?.exists && !userSnap.get("nextStreakProcessAt")) {
+        const lastProcessed = userSnap.get("lastStreakProcessedDate") ||
+          getDayBeforeYYYYMMDD(getDayBeforeYYYYMMDD(date));
+        tx.update(userRef, {
+          lastStreakProcessedDate: lastProcessed,
+          nextStreakProcessAt: getNextStreakProcessAt(lastProcessed, userSnap.get("timezone")),
+        });
+      }
+    });
+  },
+);
+
+module.exports = {archiveDailyTasks};
@@ -0,0 +1,86 @@
+/**
+ * Firestore trigger: when a user document is updated and currentStreak
+ * crosses a milestone (3, 7, 30, 100 days), bestStreak beats the previous
+ * best or a task's streak in taskStreaks crosses a milestone, stores the
+ * achievement in users/{userId}/achievements and sends a celebratory push
+ * (one per update, for the biggest new achievement; overall streak first).
+ * Task streak pushes name the task by its catalog label (config/task_catalog).
+ */
+
+const {onDocumentUpdated} = require("firebase-functions/v2/firestore");
+const {getFirestore} = require("firebase-admin/firestore");
+const {getStreakAchievements, getTaskStreakAchievements, awardAchievement} = require("./achievements");
+const {sendPushToUser} = require("./notifications/service");
+const {getTaskCatalog} = require("./config");
+const {DEFAULT_TASK_LABELS} = require("./streaks");
+
+const USERS_PATH = "users/{userId}";
+
+/**
+ * Returns the catalog label of a task key (e.g. "stay hydrated" for hydration), falling back
+ * to the built-in label and then the key for tasks no longer in the catalog.
+ * @param {{ tasks: object[] }} catalog - Task catalog
+ * @param {string} key - Task key
+ * @returns {string}
+ */
+function getTaskLabel(catalog, key) {
+  return catalog.tasks.find((task) => task.key === key)?.label || DEFAULT_TASK_LABELS[key] || key;
+}
+
+/**
+ * Push copy for an achievement.
+ * @param {object} achievement - From getStreakAchievements
+ * @param {string} [taskLabel] - Catalog label of achievement.task, for task streak milestones
+ * @returns {{ title: string, body: string }}
+ */
+function getAchievementMessage(achievement, taskLabel) {
+  if (achievement.type === "personal_best") {
+    return {
+      title: "New personal best!",
+      body: `${achievement.streak} days in a row — you just beat your best streak of ${achievement.previousBest} days.`,
+    };
+  }
+  if (achievement.type === "task_streak_milestone") {
+    return {
+      title: `${achievement.milestone}-day task streak!`,
+      body: `You've managed to ${taskLabel} ${achievement.milestone} days in a row. Keep it up!`,
+    };
+  }
+  return {
+    title: `${achievement.milestone}-day streak!`,
+    body: `You've kept your glow-up going for ${achievement.milestone} days in a row. Keep it up!`,
+  };
+}
+
+const awardStreakAchievements = onDocumentUpdated(
+  {
+    document: USERS_PATH,
+    region: "us-central1",
+  },
+  async (event) => {
+    const change = event.data;
+    if (!change || !change.before || !change.after) return;
+
+    const before = change.before.data();
+    const after = change.after.data();
+    const achievements = [...getStreakAchievements(before, after), ...getTaskStreakAchievements(before, after)];
+    if (achievements.length === 0) return;
+
+    const userId = event.params.userId;
+    const awarded = [];
+    for (const achievement of achievements) {
+      if (await awardAchievement(change.after.ref, achievement)) awarded.push(achievement);
+    }
+    if (awarded.length === 0) return;
+
+    console.log("awardStreakAchievements: awarded", userId, awarded.map((a) => a.id));
+    const top = awarded[0];
+    const taskLabel = top.task ? getTaskLabel(await getTaskCatalog(getFirestore()), top.task) : undefined;
+    await sendPushToUser(userId, {
+      ...getAchievementMessage(top, taskLabel),
+      data: {type: "achievement", achievementId: top.id},
+    });
+  },
+);
+
+module.exports = {awardStreakAchievements};
@@ -1,20 +1,153 @@
 /**
- * Reads RevenueCat-related config from environment variables (Cloud Functions v2).
+ * Reads RevenueCat, admin API and push config from environment variables (Cloud Functions v2),
+ * and the plan and task catalogs from Firestore (cached per instance).
  */
 
+const {normalizeTaskCatalog} = require("./streaks");
+
+const DEFAULT_REVENUECAT_API_BASE_URL = "https://api.revenuecat.com/v1";
+const PLAN_CATALOG_DOC = "config/plan_catalog";
+const CATALOG_TTL_MS = 5 * 60 * 1000;
+const TASK_CATALOG_DOC = "config/task_catalog";
+const DEFAULT_FCM_TOKEN_TTL_DAYS = 60;
+
+let planCatalogCache = null;
+let taskCatalogCache = null;
+
 /**
- * Gets RevenueCat webhook config from env vars.
- * @returns {{ auth: string, monthlyProductIds: string[], yearlyProductIds: string[] }}
+ * Gets RevenueCat webhook config from env vars. REVENUECAT_WEBHOOK_AUTH is a comma-separated
+ * list of accepted secrets, so a new secret can be added before the old one is removed.
+ * REVENUECAT_ALLOW_SANDBOX=true accepts events with environment SANDBOX.
+ * @returns {{ authSecrets: string[], allowSandbox: boolean, monthlyProductIds: string[],
+ *   yearlyProductIds: string[] }}
  */
 function getRevenueCatConfig() {
-  const auth = process.env.REVENUECAT_WEBHOOK_AUTH ?? "";
+  const authRaw = process.env.REVENUECAT_WEBHOOK_AUTH ?? "";
+  const allowSandbox = String(process.env.REVENUECAT_ALLOW_SANDBOX ?? "").trim().toLowerCase() === "true";
   const monthlyRaw = process.env.REVENUECAT_MONTHLY_PRODUCT_IDS ?? "";
   const yearlyRaw = process.env.REVENUECAT_YEARLY_PRODUCT_IDS ?? "";
 
   const monthlyProductIds = monthlyRaw ? String(monthlyRaw).split(",").map((s) => s.trim()) : [];
   const yearlyProductIds = yearlyRaw ? String(yearlyRaw).split(",").map((s) => s.trim()) : [];
 
-  return {auth, monthlyProductIds, yearlyProductIds};
+  const authSecrets = authRaw ? String(authRaw).split(",").map((s) => s.trim()).filter(Boolean) : [];
+
+  return {authSecrets, allowSandbox, monthlyProductIds, yearlyProductIds};
+}
+
+/**
+ * Gets RevenueCat REST API config from env vars. The base URL can point at a local stub.
+ * @returns {{ baseUrl: string, apiKey: string }}
+ */
+function getRevenueCatApiConfig() {
+  const baseUrl = (process.env.REVENUECAT_API_BASE_URL ?? "").trim() || DEFAULT_REVENUECAT_API_BASE_URL;
+  const apiKey = process.env.REVENUECAT_API_KEY ?? "";
+  return {baseUrl: baseUrl.replace(/\/+$/, ""), apiKey};
+}
+
+/**
+ * Gets admin API config from env vars. ADMIN_API_KEYS is a comma-separated list of
+ * keys accepted in the Authorization header of admin endpoints.
+ * @returns {{ apiKeys: string[] }}
+ */
+function getAdminConfig() {
+  const raw = process.env.ADMIN_API_KEYS ?? "";
+  const apiKeys = raw ? String(raw).split(",").map((s) => s.trim()).filter(Boolean) : [];
+  return {apiKeys};
+}
+
+/**
+ * Gets push notification config from env vars. FCM_TOKEN_TTL_DAYS is how long a device token
+ * stays valid without the app registering it again (default 60).
+ * @returns {{ fcmTokenTtlDays: number }}
+ */
+function getNotificationConfig() {
+  const ttlDays = Number(process.env.FCM_TOKEN_TTL_DAYS);
+  return {fcmTokenTtlDays: Number.isFinite(ttlDays) && ttlDays > 0 ? ttlDays : DEFAULT_FCM_TOKEN_TTL_DAYS};
+}
+
+/**
+ * Gets the plan catalog: config/plan_catalog in Firestore, on top of the env product ID lists
+ * (REVENUECAT_MONTHLY_PRODUCT_IDS / REVENUECAT_YEARLY_PRODUCT_IDS). Cached for 5 minutes; if the
+ * document can't be read, the last cached catalog is used, or the error is thrown.
+ * Document shape:
+ *   { products: { [productId]: { planType, trialDays?, durationDays? } },
+ *     entitlements: { [entitlementId]: { planType, trialDays?, durationDays? } } }
+ * planType is one of weekly, monthly, yearly, lifetime.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<{ products: object, entitlements: object }>}
+ */
+async function getPlanCatalog(db) {
+  const nowMs = Date.now();
+  if (planCatalogCache && nowMs - planCatalogCache.loadedAt < CATALOG_TTL_MS) {
+    return planCatalogCache.catalog;
+  }
+
+  const {monthlyProductIds, yearlyProductIds} = getRevenueCatConfig();
+  const products = {};
+  for (const id of monthlyProductIds.filter(Boolean)) products[id] = {planType: "monthly"};
+  for (const id of yearlyProductIds.filter(Boolean)) products[id] = {planType: "yearly"};
+
+  let stored = {};
+  try {
+    const snap = await db.doc(PLAN_CATALOG_DOC).get();
+    stored = snap.exists ? snap.data() : {};
+  } catch (err) {
+    // A stale catalog beats none; without one, fail so webhook deliveries are retried
+    // instead of resolving catalog-only products to nothing
+    console.warn("config: failed to load plan catalog from", PLAN_CATALOG_DOC, err);
+    if (planCatalogCache) return planCatalogCache.catalog;
+    throw err;
+  }
+
+  const catalog = {
+    products: {...products, ...(stored.products || {})},
+    entitlements: {...(stored.entitlements || {})},
+  };
+  planCatalogCache = {catalog, loadedAt: nowMs};
+  return catalog;
+}
+
+/**
+ * Gets the daily task catalog from config/task_catalog in Firestore, so tasks can be added or
+ * retired without a deploy. Cached for 5 minutes; the built-in five tasks are used when the
+ * document is missing. If it can't be read, the last cached catalog is used, or the error is
+ * thrown. Document shape:
+ *   { tasks: [{ key, label, weight?, activeFrom?, activeUntil? }], doneThreshold? }
+ * key is the daily_tasks field; a day is done once the done tasks' weights add up to
+ * doneThreshold (default 1). See streaks.normalizeTaskCatalog.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<{ tasks: object[], doneThreshold: number }>}
+ */
+async function getTaskCatalog(db) {
+  const nowMs = Date.now();
+  if (taskCatalogCache && nowMs - taskCatalogCache.loadedAt < CATALOG_TTL_MS) {
+    return taskCatalogCache.catalog;
+  }
+
+  let stored = null;
+  try {
+    const snap = await db.doc(TASK_CATALOG_DOC).get();
+    stored = snap.exists ? snap.data() : null;
+  } catch (err) {
+    // Never cache the built-in tasks in place of a catalog that failed to load
+    console.warn("config: failed to load task catalog from", TASK_CATALOG_DOC, err);
+    if (taskCatalogCache) return taskCatalogCache.catalog;
+    throw err;
+  }
+
+  const catalog = normalizeTaskCatalog(stored);
+  taskCatalogCache = {catalog, loadedAt: nowMs};
+  return catalog;
 }
 
-module.exports = {getRevenueCatConfig};
+module.exports = {
+  getRevenueCatConfig,
+  getRevenueCatApiConfig,
+  getAdminConfig,
+  getNotificationConfig,
+  getPlanCatalog,
+  getTaskCatalog,
+  PLAN_CATALOG_DOC,
+  TASK_CATALOG_DOC,
+};
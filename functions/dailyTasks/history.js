@@ -0,0 +1,79 @@
+/**
+ * Daily task history: daily_tasks/{userId} is overwritten by the app every day,
+ * so each day is archived to users/{userId}/daily_task_history/{YYYY-MM-DD}
+ * with which catalog tasks were done and when each was first seen done.
+ * Calendars, reports and streak processing read finished days from here.
+ */
+
+const {USERS_COLLECTION, getActiveTasks, isDayDone, normalizeTaskDateToYYYYMMDD} = require("../streaks");
+
+const DAILY_TASK_HISTORY_SUBCOLLECTION = "daily_task_history";
+const DEFAULT_HISTORY_LIMIT = 366;
+
+/**
+ * Returns the archive document for one user and day.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - users doc ID (same as the daily_tasks doc ID)
+ * @param {string} dateYmd - YYYY-MM-DD
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+function dailyTaskHistoryRef(db, userId, dateYmd) {
+  return db.collection(USERS_COLLECTION).doc(userId).collection(DAILY_TASK_HISTORY_SUBCOLLECTION).doc(dateYmd);
+}
+
+/**
+ * Builds the archive record for a daily_tasks document, covering the catalog tasks active that
+ * day. completedAt keeps the first time a task was seen done, so re-archiving the same day
+ * does not move it.
+ * @param {string} userId - users doc ID
+ * @param {object} data - daily_tasks document data
+ * @param {object|null} previous - Existing archive record for that day, if any
+ * @param {{ tasks: object[], doneThreshold: number }} catalog - Task catalog (config.getTaskCatalog)
+ * @param {Date} [now] - Time the tasks were observed
+ * @returns {object|null} Archive record, or null when the doc has no taskDate
+ */
+function buildDailyTaskRecord(userId, data, previous, catalog, now = new Date()) {
+  const date = normalizeTaskDateToYYYYMMDD(data?.taskDate);
+  if (!date) return null;
+
+  const tasks = {};
+  const completedAt = {};
+  for (const {key} of getActiveTasks(catalog, date)) {
+    tasks[key] = data[key] === true;
+    completedAt[key] = tasks[key] ? previous?.completedAt?.[key] || now : null;
+  }
+
+  return {
+    userId: data.userId || userId,
+    date,
+    tasks,
+    completedAt,
+    dayDone: isDayDone(tasks, catalog, date),
+    updatedAt: now,
+  };
+}
+
+/**
+ * Reads a user's archived days in [from, to] (YYYY-MM-DD, both optional), oldest first.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - users doc ID
+ * @param {{ from?: string, to?: string, limit?: number }} [options]
+ * @param {FirebaseFirestore.Transaction} [tx] - Read inside this transaction when given
+ * @returns {Promise<object[]>}
+ */
+async function getDailyTaskHistory(db, userId, options = {}, tx) {
+  let q = db.collection(USERS_COLLECTION).doc(userId).collection(DAILY_TASK_HISTORY_SUBCOLLECTION)
+    .orderBy("date", "asc");
+  if (options.from) q = q.where("date", ">=", options.from);
+  if (options.to) q = q.where("date", "<=", options.to);
+  q = q.limit(options.limit || DEFAULT_HISTORY_LIMIT);
+  const snapshot = tx ? await tx.get(q) : await q.get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+module.exports = {
+  DAILY_TASK_HISTORY_SUBCOLLECTION,
+  dailyTaskHistoryRef,
+  buildDailyTaskRecord,
+  getDailyTaskHistory,
+};
@@ -0,0 +1,25 @@
+/**
+ * Scheduled function every day at 03:00: deletes device tokens in
+ * users/{docId}/fcm_tokens that the app hasn't refreshed for
+ * FCM_TOKEN_TTL_DAYS (see notifications/tokens), found with a collection group
+ * query on lastSeenAt.
+ */
+
+const {onSchedule} = require("firebase-functions/v2/scheduler");
+const {getFirestore} = require("firebase-admin/firestore");
+const {deleteStaleFcmTokens} = require("./notifications/tokens");
+
+const expireStaleFcmTokens = onSchedule(
+  {
+    schedule: "0 3 * * *",
+    region: "us-central1",
+    timeoutSeconds: 540,
+  },
+  async () => {
+    const db = getFirestore();
+    const expired = await deleteStaleFcmTokens(db, Date.now());
+    console.log("[expireStaleFcmTokens] Run complete", {expired});
+  },
+);
+
+module.exports = {expireStaleFcmTokens};
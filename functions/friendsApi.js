@@ -0,0 +1,144 @@
+/**
+ * Friends API: HTTP endpoint for the signed-in user's friends, accountability
+ * buddies and privacy settings (Authorization: Bearer <Firebase ID token>).
+ * GET lists friends and requests; POST { action, friendId } with action one of
+ * request, accept, remove, buddy, unbuddy, or { action: "privacy", privacy }.
+ */
+
+const {onRequest} = require("firebase-functions/v2/https");
+const {getFirestore} = require("firebase-admin/firestore");
+const {getRequestUserId} = require("./requestAuth");
+const {findUserDoc} = require("./users");
+const {
+  getPrivacy,
+  requestFriend,
+  acceptFriend,
+  removeFriend,
+  setBuddy,
+  listFriends,
+} = require("./social/friends");
+
+const FRIEND_ACTIONS = ["request", "accept", "remove", "buddy", "unbuddy"];
+const PRIVACY_KEYS = ["leaderboard", "buddyNudges", "friendRequests"];
+
+/**
+ * Runs a friend action between the two users.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} action - One of FRIEND_ACTIONS
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc - Signed-in user
+ * @param {FirebaseFirestore.DocumentSnapshot} friendDoc - Other user
+ * @returns {Promise<{ ok: boolean, status?: string|null, error?: string }>}
+ */
+function runFriendAction(db, action, userDoc, friendDoc) {
+  switch (action) {
+  case "request":
+    return requestFriend(db, userDoc, friendDoc);
+  case "accept":
+    return acceptFriend(db, userDoc, friendDoc);
+  case "remove":
+    return removeFriend(db, userDoc.ref, friendDoc.ref);
+  default:
+    return setBuddy(db, userDoc.ref, friendDoc.ref, action === "buddy");
+  }
+}
+
+const friendsApi = onRequest(
+  {
+    region: "us-central1",
+    invoker: "public",
+  },
+  async (req, res) => {
+    console.log("[friendsApi] Request received", {
+      method: req.method,
+      bodyKeys: req.body ? Object.keys(req.body) : [],
+      timestamp: new Date().toISOString(),
+    });
+
+    if (req.method !== "GET" && req.method !== "POST") {
+      res.status(405).json({ok: false, error: "Method Not Allowed"});
+      return;
+    }
+
+    const uid = await getRequestUserId(req);
+    if (!uid) {
+      console.warn("[friendsApi] Unauthorized request");
+      res.status(401).json({ok: false, error: "Unauthorized"});
+      return;
+    }
+
+    const db = getFirestore();
+    try {
+      const userDoc = await findUserDoc(db, uid);
+      if (!userDoc) {
+        res.status(404).json({ok: false, error: "User not found."});
+        return;
+      }
+
+      if (req.method === "GET") {
+        const friends = await listFriends(userDoc.ref);
+        res.status(200).json({ok: true, friends, privacy: getPrivacy(userDoc.data())});
+        return;
+      }
+
+      const body = typeof req.body === "object" && req.body !== null ? req.body : {};
+      const action = (body.action ?? "").toString().trim();
+
+      if (action === "privacy") {
+        const privacy = typeof body.privacy === "object" && body.privacy !== null ? body.privacy : {};
+        const update = {};
+        for (const key of PRIVACY_KEYS) {
+          if (typeof privacy[key] === "boolean") update[`privacy.${key}`] = privacy[key];
+        }
+        if (Object.keys(update).length === 0) {
+          res.status(400).json({
+            ok: false,
+            error: `Send JSON: { action: "privacy", privacy: { ${PRIVACY_KEYS.join(", ")} } }.`,
+          });
+          return;
+        }
+        await userDoc.ref.update(update);
+        const updated = await userDoc.ref.get();
+        res.status(200).json({ok: true, privacy: getPrivacy(updated.data())});
+        return;
+      }
+
+      const friendId = (body.friendId ?? body.friend_id ?? "").toString().trim();
+      if (!FRIEND_ACTIONS.includes(action) || !friendId) {
+        res.status(400).json({
+          ok: false,
+          error: `Send JSON: { action (${FRIEND_ACTIONS.join(", ")}), friendId } or { action: "privacy", privacy }.`,
+        });
+        return;
+      }
+
+      const friendDoc = await findUserDoc(db, friendId);
+      if (!friendDoc) {
+        res.status(404).json({ok: false, error: "Friend not found."});
+        return;
+      }
+
+      const result = await runFriendAction(db, action, userDoc, friendDoc);
+      console.log("[friendsApi] Action result", {
+        action,
+        docId: userDoc.id,
+        friendDocId: friendDoc.id,
+        ok: result.ok,
+        status: result.status ?? null,
+        error: result.error || null,
+      });
+      if (!result.ok) {
+        res.status(400).json({ok: false, error: result.error});
+        return;
+      }
+      res.status(200).json({ok: true, friendId, status: result.status});
+    } catch (err) {
+      console.error("[friendsApi] Unexpected error", {
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ok: false, error: err.message || "Friends request failed."});
+    }
+  },
+);
+
+module.exports = {friendsApi};
@@ -0,0 +1,108 @@
+/**
+ * Grant Promo Premium API: admin HTTP endpoint for complimentary premium
+ * (influencer comps, apology credits). Writes users/{docId}.subscription with
+ * planType "promo" for the given number of days, appends it to the
+ * subscription history and records the grant in promo_grants.
+ * reconcileSubscriptions expires the promo; RevenueCat events only replace it
+ * under subscription.applySubscriptionPrecedence.
+ */
+
+const {onRequest} = require("firebase-functions/v2/https");
+const {getFirestore} = require("firebase-admin/firestore");
+const {isAdminRequest} = require("./requestAuth");
+const {findUserDoc} = require("./users");
+const {buildPromoSubscription} = require("./subscription");
+const {appendHistory, buildHistoryRecord} = require("./subscriptions/history");
+
+const PROMO_GRANTS_COLLECTION = "promo_grants";
+const MAX_PROMO_DAYS = 3650;
+
+const grantPromoPremiumApi = onRequest(
+  {
+    region: "us-central1",
+    invoker: "public",
+  },
+  async (req, res) => {
+    console.log("[grantPromoPremiumApi] Request received", {
+      method: req.method,
+      bodyKeys: req.body ? Object.keys(req.body) : [],
+      timestamp: new Date().toISOString(),
+    });
+
+    if (req.method !== "POST") {
+      res.status(405).json({ok: false, error: "Method Not Allowed"});
+      return;
+    }
+
+    if (!isAdminRequest(req)) {
+      console.warn("[grantPromoPremiumApi] Unauthorized request");
+      res.status(401).json({ok: false, error: "Unauthorized"});
+      return;
+    }
+
+    const body = typeof req.body === "object" && req.body !== null ? req.body : {};
+    const userId = (body.userId ?? body.user_id ?? "").toString().trim();
+    const days = Number(body.days);
+    const reason = (body.reason ?? "").toString().trim();
+    const grantedBy = (body.grantedBy ?? body.granted_by ?? "").toString().trim();
+
+    if (!userId || !reason || !grantedBy || !Number.isInteger(days) || days < 1 || days > MAX_PROMO_DAYS) {
+      res.status(400).json({
+        ok: false,
+        error: `Send JSON: { userId, days (1-${MAX_PROMO_DAYS}), reason, grantedBy }.`,
+      });
+      return;
+    }
+
+    const db = getFirestore();
+    try {
+      const userDoc = await findUserDoc(db, userId);
+      if (!userDoc) {
+        res.status(404).json({ok: false, error: "User not found."});
+        return;
+      }
+
+      const nowMs = Date.now();
+      const grantRef = db.collection(PROMO_GRANTS_COLLECTION).doc();
+      const subscription = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(userDoc.ref);
+        const previous = snap.data().subscription || null;
+        const next = buildPromoSubscription(previous, {days, reason, grantedBy}, nowMs);
+
+        tx.update(userDoc.ref, {subscription: next});
+        appendHistory(tx, userDoc.ref, buildHistoryRecord(previous, next, {
+          id: grantRef.id,
+          type: "PROMO_GRANT",
+          event_timestamp_ms: nowMs,
+        }));
+        tx.set(grantRef, {
+          userId,
+          docId: userDoc.id,
+          days,
+          reason,
+          grantedBy,
+          grantedAt: new Date(nowMs),
+          expiresAt: next.expiresAt,
+          previousPlanType: previous?.planType ?? null,
+        });
+        return next;
+      });
+
+      console.log("[grantPromoPremiumApi] Promo granted", {
+        docId: userDoc.id,
+        days,
+        grantedBy,
+        expiresAt: subscription.expiresAt,
+      });
+      res.status(200).json({ok: true, userId, docId: userDoc.id, grantId: grantRef.id, subscription});
+    } catch (err) {
+      console.error("[grantPromoPremiumApi] Unexpected error", {
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ok: false, error: err.message || "Failed to grant promo."});
+    }
+  },
+);
+
+module.exports = {grantPromoPremiumApi, PROMO_GRANTS_COLLECTION};
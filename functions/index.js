@@ -7,6 +7,24 @@ const {notifyPartialTasks} = require("./notifyPartialTasks");
 const {notifyInactiveComeback} = require("./notifyInactiveComeback");
 const {userSetupApi} = require("./userSetupApi");
 const {deleteUserApi} = require("./deleteUserApi");
+const {subscriptionHistoryApi} = require("./subscriptionHistoryApi");
+const {reconcileSubscriptions} = require("./reconcileSubscriptions");
+const {revenueCatResyncApi} = require("./revenueCatResyncApi");
+const {replayPendingRevenueCatEvents} = require("./replayPendingRevenueCatEvents");
+const {pendingRevenueCatEventsApi} = require("./pendingRevenueCatEventsApi");
+const {notifyTrialEnding} = require("./notifyTrialEnding");
+const {grantPromoPremiumApi} = require("./grantPromoPremiumApi");
+const {subscriptionStoreReportApi} = require("./subscriptionStoreReportApi");
+const {notifyStreakFreezeUsed} = require("./notifyStreakFreezeUsed");
+const {archiveDailyTasks} = require("./archiveDailyTasks");
+const {recomputeStreaksApi} = require("./recomputeStreaksApi");
+const {awardStreakAchievements} = require("./awardStreakAchievements");
+const {friendsApi} = require("./friendsApi");
+const {leaderboardApi} = require("./leaderboardApi");
+const {snapshotWeeklyLeaderboard} = require("./snapshotWeeklyLeaderboard");
+const {repairStreakApi} = require("./repairStreakApi");
+const {registerFcmTokenApi} = require("./registerFcmTokenApi");
+const {expireStaleFcmTokens} = require("./expireStaleFcmTokens");
 
 initializeApp();
 
@@ -18,3 +36,21 @@ exports.notifyPartialTasks = notifyPartialTasks;
 exports.notifyInactiveComeback = notifyInactiveComeback;
 exports.userSetupApi = userSetupApi;
 exports.deleteUserApi = deleteUserApi;
+exports.subscriptionHistoryApi = subscriptionHistoryApi;
+exports.reconcileSubscriptions = reconcileSubscriptions;
+exports.revenueCatResyncApi = revenueCatResyncApi;
+exports.replayPendingRevenueCatEvents = replayPendingRevenueCatEvents;
+exports.pendingRevenueCatEventsApi = pendingRevenueCatEventsApi;
+exports.notifyTrialEnding = notifyTrialEnding;
+exports.grantPromoPremiumApi = grantPromoPremiumApi;
+exports.subscriptionStoreReportApi = subscriptionStoreReportApi;
+exports.notifyStreakFreezeUsed = notifyStreakFreezeUsed;
+exports.archiveDailyTasks = archiveDailyTasks;
+exports.recomputeStreaksApi = recomputeStreaksApi;
+exports.awardStreakAchievements = awardStreakAchievements;
+exports.friendsApi = friendsApi;
+exports.leaderboardApi = leaderboardApi;
+exports.snapshotWeeklyLeaderboard = snapshotWeeklyLeaderboard;
+exports.repairStreakApi = repairStreakApi;
+exports.registerFcmTokenApi = registerFcmTokenApi;
+exports.expireStaleFcmTokens = expireStaleFcmTokens;
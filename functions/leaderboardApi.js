@@ -0,0 +1,89 @@
+/**
+ * Leaderboard API: HTTP endpoint returning streak leaderboards for the
+ * signed-in user (Authorization: Bearer <Firebase ID token>).
+ * GET ?scope=friends&metric=currentStreak|bestStreak is live; GET ?scope=global
+ * is the latest weekly snapshot, ranked by days done that week. Entries carry
+ * isMe instead of user IDs.
+ */
+
+const {onRequest} = require("firebase-functions/v2/https");
+const {getFirestore} = require("firebase-admin/firestore");
+const {getRequestUserId} = require("./requestAuth");
+const {findUserDoc} = require("./users");
+const {
+  LEADERBOARD_METRICS,
+  WEEKLY_METRIC,
+  getFriendsLeaderboard,
+  getWeeklyLeaderboard,
+} = require("./social/leaderboard");
+
+const LEADERBOARD_SCOPES = ["friends", "global"];
+
+const leaderboardApi = onRequest(
+  {
+    region: "us-central1",
+    invoker: "public",
+  },
+  async (req, res) => {
+    console.log("[leaderboardApi] Request received", {
+      method: req.method,
+      query: req.query,
+      timestamp: new Date().toISOString(),
+    });
+
+    if (req.method !== "GET") {
+      res.status(405).json({ok: false, error: "Method Not Allowed"});
+      return;
+    }
+
+    const uid = await getRequestUserId(req);
+    if (!uid) {
+      console.warn("[leaderboardApi] Unauthorized request");
+      res.status(401).json({ok: false, error: "Unauthorized"});
+      return;
+    }
+
+    const scope = (req.query.scope ?? "friends").toString().trim();
+    const metric = scope === "global" ? WEEKLY_METRIC : (req.query.metric ?? "currentStreak").toString().trim();
+    if (!LEADERBOARD_SCOPES.includes(scope) || (scope === "friends" && !LEADERBOARD_METRICS.includes(metric))) {
+      res.status(400).json({
+        ok: false,
+        error: `Use ?scope=friends&metric=${LEADERBOARD_METRICS.join("|")} or ?scope=global.`,
+      });
+      return;
+    }
+
+    const db = getFirestore();
+    try {
+      const userDoc = await findUserDoc(db, uid);
+      if (!userDoc) {
+        res.status(404).json({ok: false, error: "User not found."});
+        return;
+      }
+
+      if (scope === "friends") {
+        const entries = await getFriendsLeaderboard(db, userDoc, metric);
+        res.status(200).json({ok: true, scope, metric, entries});
+        return;
+      }
+
+      const {weekStart, entries} = await getWeeklyLeaderboard(db, userDoc.id);
+      res.status(200).json({
+        ok: true,
+        scope,
+        metric,
+        weekStart,
+        entries,
+        me: entries.find((entry) => entry.isMe) ?? null,
+      });
+    } catch (err) {
+      console.error("[leaderboardApi] Unexpected error", {
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ok: false, error: err.message || "Failed to load leaderboard."});
+    }
+  },
+);
+
+module.exports = {leaderboardApi};
@@ -0,0 +1,47 @@
+/**
+ * Accountability buddy nudges: when a user's streak is about to break, the
+ * friends who made them their buddy get a push to cheer them on. Skipped when
+ * the user turned off privacy.buddyNudges; sent at most once per user per day.
+ */
+
+const {sendPushToUser} = require("./service");
+const {getBuddyWatchers, getPrivacy} = require("../social/friends");
+
+/** User doc field: last date (user local YYYY-MM-DD) the user's buddies were nudged. */
+const LAST_BUDDY_NUDGE_DATE_FIELD = "lastBuddyNudgeDate";
+
+/**
+ * Nudges the buddies of a user whose streak is at risk today.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc - users/{docId} of the user at risk
+ * @param {string} userToday - User's local date (YYYY-MM-DD)
+ * @returns {Promise<number>} Number of buddies a push was sent to
+ */
+async function nudgeBuddies(db, userDoc, userToday) {
+  const userData = userDoc.data() || {};
+  if (userData[LAST_BUDDY_NUDGE_DATE_FIELD] === userToday) return 0;
+  if (!getPrivacy(userData).buddyNudges) return 0;
+
+  const watchers = await getBuddyWatchers(userDoc.ref);
+  if (watchers.length === 0) return 0;
+
+  const name = userData.name ?? userData.displayName ?? "Your buddy";
+  const userId = userData.id || userDoc.id;
+  let sent = 0;
+  for (const watcherDocId of watchers) {
+    const result = await sendPushToUser(watcherDocId, {
+      title: "Your buddy needs you",
+      body: `${name}'s streak is about to break — cheer them on!`,
+      data: {type: "buddy_streak_about_to_break", friendId: userId},
+    }, db);
+    if (result.sent) sent++;
+  }
+
+  await userDoc.ref.update({[LAST_BUDDY_NUDGE_DATE_FIELD]: userToday});
+  return sent;
+}
+
+module.exports = {
+  LAST_BUDDY_NUDGE_DATE_FIELD,
+  nudgeBuddies,
+};
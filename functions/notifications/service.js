@@ -1,11 +1,13 @@
 /**
- * Push notification service: sends FCM messages to a user's devices.
+ * Push notification service: sends FCM messages to all of a user's devices
+ * (users/{docId}/fcm_tokens, plus the legacy fcmToken field; see tokens.js).
  * Skips users on trial, with notifications disabled, or with no FCM tokens.
- * Removes invalid/expired tokens from the user document after send.
+ * Removes the tokens FCM reports as invalid after send.
  */
 
 const {getMessaging} = require("firebase-admin/messaging");
 const {getFirestore} = require("firebase-admin/firestore");
+const {getDeviceTokens} = require("./tokens");
 
 const USERS_COLLECTION = "users";
 const FCM_TOKEN_FIELD = "fcmToken";
@@ -18,42 +20,44 @@ const INVALID_TOKEN_CODES = [
 
 /**
  * Returns true if we should send push notifications to this user.
- * Skips when: on trial, notifications disabled, or no FCM token.
+ * Skips when: on trial (unless options.includeTrialUsers) or notifications disabled. Whether the
+ * user has any device token is checked when sending.
  * @param {object} userData - User document data
+ * @param {{ includeTrialUsers?: boolean }} [options] - includeTrialUsers for messages meant for
+ *   trial users (e.g. subscription lifecycle)
  * @returns {boolean}
  */
-function shouldSendToUser(userData) {
+function shouldSendToUser(userData, options = {}) {
   if (!userData || typeof userData !== "object") return false;
   if (userData.notificationsEnabled === false) return false;
-  if (userData.subscription?.isOnTrial === true) return false;
-  const token = userData[FCM_TOKEN_FIELD];
-  const valid = typeof token === "string" && token.trim().length > 0;
-  return valid;
+  if (userData.subscription?.isOnTrial === true && !options.includeTrialUsers) return false;
+  return true;
 }
 
 /**
- * Sends a push notification to the user's FCM token. Does not send if user is
- * on trial, has notifications disabled, or has no token. Clears invalid/expired
- * token from the user document after send.
+ * Sends a push notification to all of the user's devices. Does not send if user is
+ * on trial, has notifications disabled, or has no token. Deletes each token FCM
+ * reports as invalid (clearing the legacy fcmToken field when it is the one).
  * @param {string} userId - User document ID
  * @param {{ title: string, body?: string, data?: object }} payload - title, optional body, optional data
  * @param {FirebaseFirestore.Firestore} [db] - Firestore instance (uses default if omitted)
+ * @param {{ includeTrialUsers?: boolean }} [options] - See shouldSendToUser
  * @returns {Promise<{ sent: boolean, invalidTokenCount?: number }>}
  */
-async function sendPushToUser(userId, payload, db) {
+async function sendPushToUser(userId, payload, db, options = {}) {
   const firestore = db || getFirestore();
   const userRef = firestore.collection(USERS_COLLECTION).doc(userId);
   const userSnap = await userRef.get();
   const userData = userSnap.exists ? userSnap.data() : {};
 
-  if (!shouldSendToUser(userData)) {
+  if (!shouldSendToUser(userData, options)) {
     return {sent: false};
   }
 
-  const token = (userData[FCM_TOKEN_FIELD] || "").trim();
-  if (!token) return {sent: false};
+  const devices = await getDeviceTokens(userRef, userData);
+  if (devices.length === 0) return {sent: false};
 
-  const tokens = [token];
+  const tokens = devices.map((device) => device.token);
   const messaging = getMessaging();
   const message = {
     tokens,
@@ -83,9 +87,14 @@ async function sendPushToUser(userId, payload, db) {
   });
 
   if (invalidIndices.length > 0) {
-    await userRef.update({
-      [FCM_TOKEN_FIELD]: null,
-    });
+    const legacyToken = typeof userData[FCM_TOKEN_FIELD] === "string" ? userData[FCM_TOKEN_FIELD].trim() : "";
+    const batch = firestore.batch();
+    for (const idx of invalidIndices) {
+      const {token, ref} = devices[idx];
+      if (ref) batch.delete(ref);
+      if (token === legacyToken) batch.update(userRef, {[FCM_TOKEN_FIELD]: null});
+    }
+    await batch.commit();
   }
 
   const sent = (batchResponse.successCount || 0) > 0;
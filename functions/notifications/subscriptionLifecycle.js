@@ -0,0 +1,98 @@
+/**
+ * Subscription lifecycle pushes driven by RevenueCat events: welcome on
+ * INITIAL_PURCHASE, payment alert on BILLING_ISSUE and win-back on EXPIRATION.
+ * Each message has its own lastNotified*Date field on the user doc so a
+ * redelivered or replayed event never sends it twice. The "trial ends
+ * tomorrow" reminder is sent by notifyTrialEnding.
+ */
+
+const {sendPushToUser, USERS_COLLECTION} = require("./service");
+
+/** Where users fix their payment method, per RevenueCat store. */
+const MANAGE_SUBSCRIPTION_URLS = {
+  app_store: "https://apps.apple.com/account/subscriptions",
+  mac_app_store: "https://apps.apple.com/account/subscriptions",
+  play_store: "https://play.google.com/store/account/subscriptions",
+};
+
+/**
+ * Returns the lifecycle message for an event, or null if the event type has none.
+ * dedupeDate is the value stored in dedupeField after sending.
+ * @param {object} event - RevenueCat webhook event
+ * @param {object|null} subscription - Subscription written for the event
+ * @returns {{ dedupeField: string, dedupeDate: string, title: string, body: string, data: object }|null}
+ */
+function getLifecycleMessage(event, subscription) {
+  const eventDate = new Date(event.event_timestamp_ms || Date.now()).toISOString().slice(0, 10);
+
+  if (event.type === "INITIAL_PURCHASE") {
+    return {
+      dedupeField: "lastNotifiedSubscriptionWelcomeDate",
+      dedupeDate: (subscription?.subscribedAt || "").slice(0, 10) || eventDate,
+      title: "Welcome to Premium!",
+      body: "Your glow-up just levelled up. Explore everything Premium has to offer today.",
+      data: {type: "subscription_welcome"},
+    };
+  }
+
+  if (event.type === "BILLING_ISSUE") {
+    const deepLink = MANAGE_SUBSCRIPTION_URLS[event.store] || "";
+    return {
+      dedupeField: "lastNotifiedBillingIssueDate",
+      dedupeDate: eventDate,
+      title: "There's a problem with your payment",
+      body: "We couldn't renew your subscription. Update your payment method to keep your Premium access.",
+      data: {type: "billing_issue", ...(deepLink ? {deepLink} : {})},
+    };
+  }
+
+  if (event.type === "EXPIRATION") {
+    return {
+      dedupeField: "lastNotifiedWinBackDate",
+      dedupeDate: (subscription?.expiresAt || "").slice(0, 10) || eventDate,
+      title: "We miss you at Premium",
+      body: "Your Premium access has ended. Come back anytime to pick up your glow-up where you left off.",
+      data: {type: "subscription_win_back"},
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Sends the lifecycle push for an event to each user it was applied to. Respects
+ * notificationsEnabled (via sendPushToUser); trial users are included since these
+ * messages are about their subscription.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {object} event - RevenueCat webhook event
+ * @param {string[]} userDocIds - users/{docId} the event was applied to
+ * @returns {Promise<void>}
+ */
+async function notifySubscriptionEvent(db, event, userDocIds) {
+  if (!getLifecycleMessage(event, null)) return;
+
+  for (const docId of userDocIds) {
+    const userRef = db.collection(USERS_COLLECTION).doc(docId);
+    const userSnap = await userRef.get();
+    if (!userSnap.exists) continue;
+    const userData = userSnap.data();
+    const message = getLifecycleMessage(event, userData.subscription || null);
+    if (userData[message.dedupeField] === message.dedupeDate) continue;
+
+    const result = await sendPushToUser(docId, {
+      title: message.title,
+      body: message.body,
+      data: message.data,
+    }, db, {includeTrialUsers: true});
+
+    if (result.sent) {
+      await userRef.update({[message.dedupeField]: message.dedupeDate});
+    }
+  }
+}
+
+module.exports = {
+  MANAGE_SUBSCRIPTION_URLS,
+  getLifecycleMessage,
+  notifySubscriptionEvent,
+};
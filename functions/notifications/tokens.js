@@ -0,0 +1,149 @@
+/**
+ * FCM token registry: one document per device in users/{docId}/fcm_tokens,
+ * keyed by a hash of the token (also stored as tokenHash), with platform,
+ * appVersion, locale and lastSeenAt. The app registers on every launch
+ * (registerFcmTokenApi), which refreshes lastSeenAt and takes the token away from
+ * any other user who registered it on the same device; tokens not seen for
+ * FCM_TOKEN_TTL_DAYS (config.getNotificationConfig) are ignored when sending and
+ * deleted by expireStaleFcmTokens.
+ * The legacy users/{docId}.fcmToken field is still read for app versions that
+ * don't register.
+ */
+
+const crypto = require("crypto");
+const {getNotificationConfig} = require("../config");
+
+const FCM_TOKENS_SUBCOLLECTION = "fcm_tokens";
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+/** Firestore batch write limit. */
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Returns the hex sha256 of a token, used as its document ID and tokenHash.
+ * @param {string} token - FCM registration token
+ * @returns {string}
+ */
+function hashFcmToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Returns users/{docId}/fcm_tokens/{sha256(token)}.
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId}
+ * @param {string} token - FCM registration token
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+function fcmTokenRef(userRef, token) {
+  return userRef.collection(FCM_TOKENS_SUBCOLLECTION).doc(hashFcmToken(token));
+}
+
+/**
+ * Returns the time before which a token counts as stale.
+ * @param {number} nowMs - Current time in ms
+ * @returns {Date}
+ */
+function getStaleCutoff(nowMs) {
+  return new Date(nowMs - getNotificationConfig().fcmTokenTtlDays * MS_PER_DAY);
+}
+
+/**
+ * Registers a device token for the user, or refreshes its metadata and lastSeenAt. A token
+ * belongs to one device, so copies under other users (e.g. a previous account signed in on
+ * the same phone) are deleted and stop receiving that user's pushes.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId}
+ * @param {{ token: string, platform?: string|null, appVersion?: string|null, locale?: string|null }} device
+ * @param {number} [nowMs] - Current time in ms (default: Date.now())
+ * @returns {Promise<{ created: boolean, removedFromOtherUsers: number }>}
+ */
+async function registerFcmToken(db, userRef, device, nowMs = Date.now()) {
+  const tokenHash = hashFcmToken(device.token);
+  const ref = fcmTokenRef(userRef, device.token);
+  const copiesQuery = db.collectionGroup(FCM_TOKENS_SUBCOLLECTION).where("tokenHash", "==", tokenHash);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const copies = (await tx.get(copiesQuery)).docs.filter((doc) => doc.ref.path !== ref.path);
+    const now = new Date(nowMs);
+    copies.forEach((doc) => tx.delete(doc.ref));
+    tx.set(ref, {
+      token: device.token,
+      tokenHash,
+      platform: device.platform ?? null,
+      appVersion: device.appVersion ?? null,
+      locale: device.locale ?? null,
+      lastSeenAt: now,
+      ...(snap.exists ? {} : {createdAt: now}),
+    }, {merge: true});
+    return {created: !snap.exists, removedFromOtherUsers: copies.length};
+  });
+}
+
+/**
+ * Removes a device token (e.g. on logout).
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId}
+ * @param {string} token - FCM registration token
+ * @returns {Promise<void>}
+ */
+async function unregisterFcmToken(userRef, token) {
+  await fcmTokenRef(userRef, token).delete();
+}
+
+/**
+ * Returns the user's device tokens to send to: registered tokens seen within
+ * FCM_TOKEN_TTL_DAYS, plus the legacy fcmToken field when it isn't registered.
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId}
+ * @param {object} userData - users/{docId} data
+ * @param {number} [nowMs] - Current time in ms (default: Date.now())
+ * @returns {Promise<{ token: string, ref: FirebaseFirestore.DocumentReference|null }[]>} ref is null for
+ *   the legacy field
+ */
+async function getDeviceTokens(userRef, userData, nowMs = Date.now()) {
+  const snapshot = await userRef.collection(FCM_TOKENS_SUBCOLLECTION)
+    .where("lastSeenAt", ">=", getStaleCutoff(nowMs))
+    .get();
+  const devices = snapshot.docs
+    .filter((doc) => typeof doc.data().token === "string" && doc.data().token)
+    .map((doc) => ({token: doc.data().token, ref: doc.ref}));
+
+  const legacy = typeof userData?.fcmToken === "string" ? userData.fcmToken.trim() : "";
+  if (legacy && !devices.some((device) => device.token === legacy)) {
+    devices.push({token: legacy, ref: null});
+  }
+  return devices;
+}
+
+/**
+ * Deletes every user's tokens not seen for FCM_TOKEN_TTL_DAYS, a batch at a time, with one
+ * fcm_tokens collection group query (no scan of users).
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {number} [nowMs] - Current time in ms (default: Date.now())
+ * @returns {Promise<number>} Number of tokens deleted
+ */
+async function deleteStaleFcmTokens(db, nowMs = Date.now()) {
+  const query = db.collectionGroup(FCM_TOKENS_SUBCOLLECTION)
+    .where("lastSeenAt", "<", getStaleCutoff(nowMs))
+    .limit(MAX_BATCH_SIZE);
+  let deleted = 0;
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+    if (snapshot.size < MAX_BATCH_SIZE) break;
+  }
+  return deleted;
+}
+
+module.exports = {
+  FCM_TOKENS_SUBCOLLECTION,
+  hashFcmToken,
+  fcmTokenRef,
+  registerFcmToken,
+  unregisterFcmToken,
+  getDeviceTokens,
+  deleteStaleFcmTokens,
+};
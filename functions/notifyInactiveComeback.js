@@ -1,13 +1,13 @@
 /**
  * Scheduled function every hour: sends "come back" push at 10am in each user's
  * local time to users inactive 3+ days (based on users.lastLoggedIn). Milestones:
- * 3, 7, 14, 21, 30 days, then once every 30 days. Uses user "timezone" (e.g. "UTC+5").
+ * 3, 7, 14, 21, 30 days, then once every 30 days. Uses user "timezone" (e.g.
+ * "America/New_York" or "UTC+5").
  */
 
 const {onSchedule} = require("firebase-functions/v2/scheduler");
 const {getFirestore} = require("firebase-admin/firestore");
 const {
-  parseTimezoneToOffsetMinutes,
   getLocalTimeForOffset,
   normalizeTaskDateToYYYYMMDD,
   USERS_COLLECTION,
@@ -95,8 +95,7 @@ const notifyInactiveComeback = onSchedule(
     const candidates = [];
     for (const doc of snapshot.docs) {
       const userData = doc.data();
-      const offsetMin = parseTimezoneToOffsetMinutes(userData.timezone);
-      const {hour: localHour} = getLocalTimeForOffset(offsetMin, nowMs);
+      const {hour: localHour} = getLocalTimeForOffset(userData.timezone, nowMs);
       if (localHour !== TARGET_LOCAL_HOUR) continue;
 
       const {daysInactive, lastSentAt, lastMilestone} = getInactiveState(userData, nowMs);
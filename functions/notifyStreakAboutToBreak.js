@@ -1,19 +1,25 @@
 /**
  * Scheduled function every hour: sends a push at 11pm in each user's local time
- * to users who have a current streak but haven't completed any task for "today"
- * yet. Uses user document field "timezone" (e.g. "UTC+5", "UTC+5:30").
+ * to users who have a current streak but haven't reached the task catalog's
+ * doneThreshold for "today" yet (the push says what is still needed). Uses
+ * user document field "timezone" (e.g. "Europe/London", "UTC+5:30").
+ * The user's accountability buddies are nudged at the same time (see
+ * notifications/buddyNudges).
  */
 
 const {onSchedule} = require("firebase-functions/v2/scheduler");
 const {getFirestore} = require("firebase-admin/firestore");
 const {
-  parseTimezoneToOffsetMinutes,
   getLocalTimeForOffset,
+  getActiveTasks,
+  getCompletedAndRemaining,
   isDayDone,
   DAILY_TASKS_COLLECTION,
   USERS_COLLECTION,
 } = require("./streaks");
 const {sendPushToUser} = require("./notifications/service");
+const {nudgeBuddies, LAST_BUDDY_NUDGE_DATE_FIELD} = require("./notifications/buddyNudges");
+const {getTaskCatalog} = require("./config");
 
 const TARGET_LOCAL_HOUR = 23; // 11pm
 const BATCH_SIZE = 300;
@@ -21,6 +27,25 @@ const BATCH_SIZE = 300;
 /** User doc field: last date (user local YYYY-MM-DD) we sent this notification. */
 const LAST_SENT_DATE_FIELD = "lastNotifiedStreakAboutToBreakDate";
 
+/**
+ * Describes what is still needed to reach the catalog's doneThreshold today, e.g.
+ * "complete at least one task", "complete 2 more tasks" or "complete tasks worth 1.5 more points"
+ * when the active tasks are weighted.
+ * @param {object} data - daily_tasks document
+ * @param {{ tasks: object[], doneThreshold: number }} catalog - Task catalog
+ * @param {string} dateYmd - User's local today
+ * @returns {string}
+ */
+function describeRemainingGoal(data, catalog, dateYmd) {
+  const {completedWeight} = getCompletedAndRemaining(data, catalog, dateYmd);
+  const needed = Math.max(catalog.doneThreshold - completedWeight, 0);
+  const unweighted = getActiveTasks(catalog, dateYmd).every((task) => task.weight === 1);
+  if (!unweighted) return `complete tasks worth ${needed} more point${needed === 1 ? "" : "s"}`;
+  const count = Math.max(Math.ceil(needed), 1);
+  if (completedWeight === 0) return count === 1 ? "complete at least one task" : `complete at least ${count} tasks`;
+  return `complete ${count} more task${count === 1 ? "" : "s"}`;
+}
+
 const notifyStreakAboutToBreak = onSchedule(
   {
     schedule: "0 * * * *",
@@ -29,6 +54,7 @@ const notifyStreakAboutToBreak = onSchedule(
   async () => {
     const db = getFirestore();
     const nowMs = Date.now();
+    const catalog = await getTaskCatalog(db);
     let lastDoc = null;
 
     // eslint-disable-next-line no-constant-condition
@@ -42,24 +68,28 @@ const notifyStreakAboutToBreak = onSchedule(
         lastDoc = doc;
         const userId = doc.id;
         const userData = doc.data();
-        const offsetMin = parseTimezoneToOffsetMinutes(userData.timezone);
-        const {dateYmd: userToday, hour: localHour} = getLocalTimeForOffset(offsetMin, nowMs);
+        const {dateYmd: userToday, hour: localHour} = getLocalTimeForOffset(userData.timezone, nowMs);
         if (localHour !== TARGET_LOCAL_HOUR) continue;
-        if (userData[LAST_SENT_DATE_FIELD] === userToday) continue;
+        if (userData[LAST_SENT_DATE_FIELD] === userToday && userData[LAST_BUDDY_NUDGE_DATE_FIELD] === userToday) {
+          continue;
+        }
 
         const taskSnap = await db.collection(DAILY_TASKS_COLLECTION).doc(userId).get();
         const data = taskSnap.exists ? taskSnap.data() : {};
         const taskDate = (data.taskDate && String(data.taskDate).slice(0, 10)) || "";
         if (taskDate !== userToday) continue;
-        if (isDayDone(data)) continue;
+        if (isDayDone(data, catalog, userToday)) continue;
 
         const currentStreak = typeof userData.currentStreak === "number" ? userData.currentStreak : 0;
         if (currentStreak <= 0) continue;
 
+        await nudgeBuddies(db, doc, userToday);
+        if (userData[LAST_SENT_DATE_FIELD] === userToday) continue;
+
         const result = await sendPushToUser(userId, {
           title: "Your streak is about to break",
-          body: "You have about an hour left — complete at least one task before midnight to keep your "
-            + "glow-up streak alive!",
+          body: `You have about an hour left — ${describeRemainingGoal(data, catalog, userToday)} before midnight `
+            + "to keep your glow-up streak alive!",
           data: {type: "streak_about_to_break"},
         }, db);
 
@@ -2,12 +2,29 @@
  * Firestore trigger: when a user document is updated and currentStreak goes
  * from >0 to 0, sends a push notification (via notification service).
  * Does not send when the user is first created (currentStreak is 0 initially).
+ * Premium users who can still repair the streak are told about the repair option.
  */
 
 const {onDocumentUpdated} = require("firebase-functions/v2/firestore");
 const {sendPushToUser} = require("./notifications/service");
+const {
+  MONTHLY_STREAK_REPAIR_LIMIT,
+  STREAK_REPAIR_WINDOW_MS,
+  getStreakRepairEligibility,
+  countRepairsThisMonth,
+} = require("./streakRepair");
 
 const USERS_PATH = "users/{userId}";
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Describes the repair window for the push text, e.g. "48 hours".
+ * @returns {string}
+ */
+function formatRepairWindow() {
+  const hours = Math.round(STREAK_REPAIR_WINDOW_MS / MS_PER_HOUR);
+  return hours === 1 ? "1 hour" : `${hours} hours`;
+}
 
 const notifyStreakBroken = onDocumentUpdated(
   {
@@ -28,7 +45,16 @@ const notifyStreakBroken = onDocumentUpdated(
     if (nextStreak !== 0) return;
     if (prevStreak <= 0) return;
 
-    await sendPushToUser(userId, {
+    const nowMs = Date.now();
+    const {eligible, streakBreak} = getStreakRepairEligibility(after, nowMs);
+    const canRepair = eligible && await countRepairsThisMonth(change.after.ref, nowMs) < MONTHLY_STREAK_REPAIR_LIMIT;
+
+    await sendPushToUser(userId, canRepair ? {
+      title: "Streak broken",
+      body: `You missed a day. As a premium member you can repair your ${streakBreak.streak}-day streak within ` +
+        `${formatRepairWindow()} — or start a new streak today!`,
+      data: {type: "streak_broken", repairAvailable: "true"},
+    } : {
       title: "Streak broken",
       body: "You missed a day. Start a new streak today!",
       data: {type: "streak_broken"},
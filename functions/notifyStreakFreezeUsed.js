@@ -0,0 +1,41 @@
+/**
+ * Firestore trigger: when updateUserStreaksDaily consumes a streak freeze
+ * (lastStreakFreezeUsedDate changes on the user document), tells the user a
+ * freeze saved their streak. The streak is not reset in that case, so
+ * notifyStreakBroken does not fire.
+ */
+
+const {onDocumentUpdated} = require("firebase-functions/v2/firestore");
+const {sendPushToUser} = require("./notifications/service");
+
+const USERS_PATH = "users/{userId}";
+
+const notifyStreakFreezeUsed = onDocumentUpdated(
+  {
+    document: USERS_PATH,
+    region: "us-central1",
+  },
+  async (event) => {
+    const change = event.data;
+    if (!change || !change.before || !change.after) return;
+
+    const before = change.before.data();
+    const after = change.after.data();
+    const userId = event.params.userId;
+
+    if (!after.lastStreakFreezeUsedDate) return;
+    if (after.lastStreakFreezeUsedDate === before.lastStreakFreezeUsedDate) return;
+
+    const streak = typeof after.currentStreak === "number" ? after.currentStreak : 0;
+    const left = typeof after.streakFreezes === "number" ? after.streakFreezes : 0;
+    const leftText = left === 1 ? "1 freeze left" : `${left} freezes left`;
+
+    await sendPushToUser(userId, {
+      title: "Streak freeze used",
+      body: `You missed a day, but a streak freeze kept your ${streak}-day streak alive (${leftText}).`,
+      data: {type: "streak_freeze_used"},
+    });
+  },
+);
+
+module.exports = {notifyStreakFreezeUsed};
@@ -0,0 +1,51 @@
+/**
+ * Scheduled function every hour: sends a "trial ends tomorrow" push to users on
+ * trial whose subscription.trialEndsAt is within the next 24 hours. Dedupes with
+ * user field lastNotifiedTrialEndingDate (the trialEndsAt date).
+ */
+
+const {onSchedule} = require("firebase-functions/v2/scheduler");
+const {getFirestore} = require("firebase-admin/firestore");
+const {sendPushToUser, USERS_COLLECTION} = require("./notifications/service");
+
+const REMIND_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+/** User doc field: trialEndsAt date (YYYY-MM-DD) we last sent this notification for. */
+const LAST_SENT_DATE_FIELD = "lastNotifiedTrialEndingDate";
+
+const notifyTrialEnding = onSchedule(
+  {
+    schedule: "0 * * * *",
+    region: "us-central1",
+  },
+  async () => {
+    const db = getFirestore();
+    const nowMs = Date.now();
+
+    const snapshot = await db.collection(USERS_COLLECTION)
+      .where("subscription.trialEndsAt", ">", new Date(nowMs).toISOString())
+      .where("subscription.trialEndsAt", "<=", new Date(nowMs + REMIND_BEFORE_MS).toISOString())
+      .get();
+
+    for (const doc of snapshot.docs) {
+      const userData = doc.data();
+      const subscription = userData.subscription || {};
+      if (subscription.isOnTrial !== true || subscription.isActive !== true) continue;
+
+      const trialEndDate = String(subscription.trialEndsAt).slice(0, 10);
+      if (userData[LAST_SENT_DATE_FIELD] === trialEndDate) continue;
+
+      const result = await sendPushToUser(doc.id, {
+        title: "Your trial ends tomorrow",
+        body: "Your free trial ends in less than 24 hours. Keep your glow-up going with Premium!",
+        data: {type: "trial_ending", trialEndsAt: String(subscription.trialEndsAt)},
+      }, db, {includeTrialUsers: true});
+
+      if (result.sent) {
+        await doc.ref.update({[LAST_SENT_DATE_FIELD]: trialEndDate});
+      }
+    }
+  },
+);
+
+module.exports = {notifyTrialEnding};
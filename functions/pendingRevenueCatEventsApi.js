@@ -0,0 +1,84 @@
+/**
+ * Pending RevenueCat Events API: admin HTTP endpoint for events parked because
+ * their app user ID had no user document or their product was not in the plan
+ * catalog.
+ * - GET lists parked events (optionally ?appUserId=<id>)
+ * - POST { appUserId, targetUserId? } retries them, against targetUserId if given
+ */
+
+const {onRequest} = require("firebase-functions/v2/https");
+const {getFirestore} = require("firebase-admin/firestore");
+const {isAdminRequest} = require("./requestAuth");
+const {getPendingEvents, listPendingUsers} = require("./subscriptions/pendingEvents");
+const {replayPendingEvents} = require("./subscriptions/replay");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const pendingRevenueCatEventsApi = onRequest(
+  {
+    region: "us-central1",
+    invoker: "public",
+  },
+  async (req, res) => {
+    console.log("[pendingRevenueCatEventsApi] Request received", {
+      method: req.method,
+      query: req.query,
+      bodyKeys: req.body ? Object.keys(req.body) : [],
+      timestamp: new Date().toISOString(),
+    });
+
+    if (req.method !== "GET" && req.method !== "POST") {
+      res.status(405).json({ok: false, error: "Method Not Allowed"});
+      return;
+    }
+
+    if (!isAdminRequest(req)) {
+      console.warn("[pendingRevenueCatEventsApi] Unauthorized request");
+      res.status(401).json({ok: false, error: "Unauthorized"});
+      return;
+    }
+
+    const db = getFirestore();
+    try {
+      if (req.method === "GET") {
+        const appUserId = (req.query.appUserId ?? "").toString().trim();
+        if (appUserId) {
+          const events = await getPendingEvents(db, appUserId);
+          res.status(200).json({
+            ok: true,
+            appUserId,
+            events: events.map((doc) => {
+              const {eventId, type, eventTimestampMs, reason, attempts, lastError, event} = doc.data();
+              return {eventId, type, eventTimestampMs, reason: reason ?? "no_user", attempts, lastError, event};
+            }),
+          });
+          return;
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        res.status(200).json({ok: true, pending: await listPendingUsers(db, limit)});
+        return;
+      }
+
+      const body = typeof req.body === "object" && req.body !== null ? req.body : {};
+      const appUserId = (body.appUserId ?? body.app_user_id ?? "").toString().trim();
+      const targetUserId = (body.targetUserId ?? body.target_user_id ?? "").toString().trim() || appUserId;
+      if (!appUserId) {
+        res.status(400).json({ok: false, error: "Missing appUserId. Send JSON: { appUserId, targetUserId? }."});
+        return;
+      }
+
+      const result = await replayPendingEvents(db, appUserId, targetUserId);
+      res.status(200).json({ok: true, appUserId, targetUserId, ...result});
+    } catch (err) {
+      console.error("[pendingRevenueCatEventsApi] Unexpected error", {
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ok: false, error: err.message || "Request failed."});
+    }
+  },
+);
+
+module.exports = {pendingRevenueCatEventsApi};
@@ -0,0 +1,200 @@
+/**
+ * Recompute Streaks API: admin HTTP endpoint that rebuilds currentStreak /
+ * bestStreak from users/{docId}/daily_task_history when the daily job failed
+ * or streaks were corrupted. Dry run by default: returns the old and new
+ * values per user, and only writes with { dryRun: false }.
+ */
+
+const {onRequest} = require("firebase-functions/v2/https");
+const {getFirestore} = require("firebase-admin/firestore");
+const {isAdminRequest} = require("./requestAuth");
+const {findUserDoc, USERS_COLLECTION} = require("./users");
+const {
+  getYesterdayYMDForOffset,
+  getNextStreakProcessAt,
+  recomputeStreaksFromHistory,
+} = require("./streaks");
+const {getDailyTaskHistory} = require("./dailyTasks/history");
+const {getTaskCatalog} = require("./config");
+
+const MAX_USER_IDS = 100;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+const MAX_HISTORY_DAYS = 3650;
+
+/**
+ * Recomputes one user's streaks through their local yesterday in a transaction and writes them
+ * unless dryRun. The archive may not reach back to the start of the user's runs, so bestStreak
+ * never goes below the stored value unless resetBestStreak is set, and neither does
+ * currentStreak when the current run starts on the first archived day, unless resetCurrentStreak is set.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc - users/{docId}
+ * @param {{ dryRun: boolean, resetBestStreak: boolean, resetCurrentStreak: boolean, nowMs: number,
+ *   catalog: object }} options
+ * @returns {Promise<object>} Diff of old and new values
+ */
+async function recomputeUser(db, userDoc, options) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(userDoc.ref);
+    const userData = snap.exists ? snap.data() : {};
+    const throughDate = getYesterdayYMDForOffset(userData.timezone, options.nowMs);
+    const days = await getDailyTaskHistory(db, userDoc.id, {to: throughDate, limit: MAX_HISTORY_DAYS}, tx);
+    const recomputed = recomputeStreaksFromHistory(days, throughDate, {
+      frozenDates: [...(userData.streakFreezesUsedDates || []), ...(userData.streakRepairedDates || [])],
+      catalog: options.catalog,
+    });
+
+    const before = {
+      currentStreak: Number(userData.currentStreak) || 0,
+      bestStreak: Number(userData.bestStreak) || 0,
+    };
+    // The run may have begun before the first archived day: keep the stored streak and its start
+    const keepCurrent = !options.resetCurrentStreak &&
+      recomputed.currentStreak > 0 &&
+      recomputed.currentStreakStartedAt === recomputed.fromDate &&
+      before.currentStreak > recomputed.currentStreak;
+    const currentStreak = keepCurrent ? before.currentStreak : recomputed.currentStreak;
+    const after = {
+      currentStreak,
+      bestStreak: Math.max(
+        options.resetBestStreak ? recomputed.bestStreak : Math.max(recomputed.bestStreak, before.bestStreak),
+        currentStreak,
+      ),
+    };
+    const changed = before.currentStreak !== after.currentStreak || before.bestStreak !== after.bestStreak;
+
+    if (snap.exists && changed && !options.dryRun) {
+      tx.update(userDoc.ref, {
+        ...after,
+        currentStreakStartedAt: keepCurrent ?
+          (userData.currentStreakStartedAt ?? recomputed.currentStreakStartedAt) :
+          recomputed.currentStreakStartedAt,
+        lastStreakProcessedDate: throughDate,
+        nextStreakProcessAt: getNextStreakProcessAt(throughDate, userData.timezone),
+        streakRecomputedAt: new Date(options.nowMs),
+      });
+    }
+
+    return {
+      docId: userDoc.id,
+      throughDate,
+      fromDate: recomputed.fromDate,
+      daysCounted: recomputed.daysCounted,
+      before,
+      after,
+      changed,
+      written: snap.exists && changed && !options.dryRun,
+    };
+  });
+}
+
+const recomputeStreaksApi = onRequest(
+  {
+    region: "us-central1",
+    invoker: "public",
+    timeoutSeconds: 540,
+  },
+  async (req, res) => {
+    console.log("[recomputeStreaksApi] Request received", {
+      method: req.method,
+      bodyKeys: req.body ? Object.keys(req.body) : [],
+      timestamp: new Date().toISOString(),
+    });
+
+    if (req.method !== "POST") {
+      res.status(405).json({ok: false, error: "Method Not Allowed"});
+      return;
+    }
+
+    if (!isAdminRequest(req)) {
+      console.warn("[recomputeStreaksApi] Unauthorized request");
+      res.status(401).json({ok: false, error: "Unauthorized"});
+      return;
+    }
+
+    const body = typeof req.body === "object" && req.body !== null ? req.body : {};
+    const userId = (body.userId ?? body.user_id ?? "").toString().trim();
+    const userIds = Array.isArray(body.userIds) ?
+      body.userIds.map((id) => String(id).trim()).filter(Boolean) :
+      [];
+    const all = body.all === true;
+    const options = {
+      dryRun: body.dryRun !== false,
+      resetBestStreak: body.resetBestStreak === true,
+      resetCurrentStreak: body.resetCurrentStreak === true,
+      nowMs: Date.now(),
+    };
+
+    if (!userId && userIds.length === 0 && !all) {
+      res.status(400).json({
+        ok: false,
+        error: "Send JSON: { userId } or { userIds: [...] } or { all: true, limit?, startAfter? }, " +
+          "plus dryRun: false to write.",
+      });
+      return;
+    }
+    if (userIds.length > MAX_USER_IDS) {
+      res.status(400).json({ok: false, error: `At most ${MAX_USER_IDS} userIds per request.`});
+      return;
+    }
+
+    const db = getFirestore();
+    try {
+      options.catalog = await getTaskCatalog(db);
+      let userDocs = [];
+      const notFound = [];
+      let nextStartAfter = null;
+
+      if (all) {
+        const limit = Math.min(Math.max(parseInt(body.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        let q = db.collection(USERS_COLLECTION).orderBy("__name__").limit(limit);
+        if (body.startAfter) q = q.startAfter(String(body.startAfter));
+        const snapshot = await q.get();
+        userDocs = snapshot.docs;
+        if (snapshot.size === limit) nextStartAfter = snapshot.docs[snapshot.size - 1].id;
+      } else {
+        for (const id of userId ? [userId] : userIds) {
+          const userDoc = await findUserDoc(db, id);
+          if (userDoc) userDocs.push(userDoc);
+          else notFound.push(id);
+        }
+      }
+
+      const results = [];
+      const errors = [];
+      for (const userDoc of userDocs) {
+        try {
+          results.push(await recomputeUser(db, userDoc, options));
+        } catch (err) {
+          console.error("[recomputeStreaksApi] Recompute failed for user", userDoc.id, err.message);
+          errors.push({docId: userDoc.id, error: err.message});
+        }
+      }
+
+      console.log("[recomputeStreaksApi] Done", {
+        dryRun: options.dryRun,
+        users: userDocs.length,
+        changed: results.filter((r) => r.changed).length,
+        errors: errors.length,
+      });
+      res.status(200).json({
+        ok: errors.length === 0,
+        dryRun: options.dryRun,
+        processed: userDocs.length,
+        changed: results.filter((r) => r.changed).length,
+        results,
+        notFound,
+        errors,
+        nextStartAfter,
+      });
+    } catch (err) {
+      console.error("[recomputeStreaksApi] Unexpected error", {
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ok: false, error: err.message || "Recompute failed."});
+    }
+  },
+);
+
+module.exports = {recomputeStreaksApi};
@@ -0,0 +1,146 @@
+/**
+ * Scheduled function every hour: sweeps users whose subscription trialEndsAt,
+ * gracePeriodExpiresAt or expiresAt has passed (within the last 30 days) while
+ * still on trial, in grace period or active, and moves them to the correct
+ * state, in case the RevenueCat webhook was lost.
+ * Each run also reconciles one page of older subscriptions (a one-off backfill,
+ * tracked in config/reconcile_backfill) until every user has been checked once.
+ * Each change is appended to users/{docId}/subscription_history and every run
+ * is summarized in subscription_reconcile_runs.
+ */
+
+const {onSchedule} = require("firebase-functions/v2/scheduler");
+const {getFirestore, FieldPath} = require("firebase-admin/firestore");
+const {reconcileSubscription, SUBSCRIPTION_STATUS} = require("./subscription");
+const {appendHistory, buildHistoryRecord} = require("./subscriptions/history");
+const {USERS_COLLECTION} = require("./users");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const LOOKBACK_DAYS = 30;
+const RUNS_COLLECTION = "subscription_reconcile_runs";
+/** Progress of the backfill of subscriptions older than the lookback window; delete it to run it again. */
+const BACKFILL_STATE_DOC = "config/reconcile_backfill";
+const BACKFILL_PAGE_SIZE = 500;
+
+/** Subscription date fields whose passing can change the subscription state. */
+const DUE_FIELDS = ["trialEndsAt", "gracePeriodExpiresAt", "expiresAt"];
+
+/**
+ * State a subscription must still be in for its due field to matter (as checked by
+ * reconcileSubscription), so the hourly window skips subscriptions already moved on.
+ */
+const DUE_FIELD_STATES = {
+  trialEndsAt: ["isOnTrial", true],
+  gracePeriodExpiresAt: ["status", SUBSCRIPTION_STATUS.IN_GRACE_PERIOD],
+  expiresAt: ["isActive", true],
+};
+
+/**
+ * Applies reconcileSubscription to one user inside a transaction, so a webhook
+ * landing at the same time is never overwritten with stale data.
+ * @returns {Promise<string[]|null>} Changes made, or null if none
+ */
+async function reconcileUser(db, userRef, nowMs) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(userRef);
+    if (!snap.exists) return null;
+    const previous = snap.data().subscription || null;
+    const result = reconcileSubscription(previous, nowMs);
+    if (!result) return null;
+
+    tx.update(userRef, {subscription: result.subscription});
+    appendHistory(tx, userRef, buildHistoryRecord(previous, result.subscription, {
+      type: "RECONCILER_" + result.changes.join("+").toUpperCase(),
+      event_timestamp_ms: nowMs,
+    }));
+    return result.changes;
+  });
+}
+
+/**
+ * Returns the next page of users with a due field before the lookback window, walking
+ * DUE_FIELDS one after the other, and saves the cursor. Returns nothing once the
+ * backfill has completed.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} windowStartIso - Start of the regular lookback window
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot[]>}
+ */
+async function getBackfillPage(db, windowStartIso) {
+  const stateRef = db.doc(BACKFILL_STATE_DOC);
+  const stateSnap = await stateRef.get();
+  const state = stateSnap.exists ? stateSnap.data() : {};
+  if (state.completedAt) return [];
+
+  const fieldIndex = state.fieldIndex || 0;
+  const field = `subscription.${DUE_FIELDS[fieldIndex]}`;
+  let q = db.collection(USERS_COLLECTION)
+    .where(field, "<", windowStartIso)
+    .orderBy(field)
+    .orderBy(FieldPath.documentId())
+    .limit(BACKFILL_PAGE_SIZE);
+  if (state.cursor) q = q.startAfter(state.cursor.value, state.cursor.docId);
+  const snapshot = await q.get();
+
+  let next;
+  if (snapshot.size === BACKFILL_PAGE_SIZE) {
+    const last = snapshot.docs[snapshot.size - 1];
+    next = {fieldIndex, cursor: {value: last.get(field), docId: last.id}};
+  } else if (fieldIndex + 1 < DUE_FIELDS.length) {
+    next = {fieldIndex: fieldIndex + 1, cursor: null};
+  } else {
+    next = {fieldIndex, cursor: null, completedAt: new Date()};
+  }
+  await stateRef.set({...next, updatedAt: new Date()}, {merge: true});
+  return snapshot.docs;
+}
+
+const reconcileSubscriptions = onSchedule(
+  {
+    schedule: "0 * * * *",
+    region: "us-central1",
+  },
+  async () => {
+    const db = getFirestore();
+    const nowMs = Date.now();
+    const nowIso = new Date(nowMs).toISOString();
+    const windowStartIso = new Date(nowMs - LOOKBACK_DAYS * MS_PER_DAY).toISOString();
+
+    const dueDocs = new Map();
+    for (const field of DUE_FIELDS) {
+      const [stateField, stateValue] = DUE_FIELD_STATES[field];
+      const snapshot = await db.collection(USERS_COLLECTION)
+        .where(`subscription.${stateField}`, "==", stateValue)
+        .where(`subscription.${field}`, ">=", windowStartIso)
+        .where(`subscription.${field}`, "<=", nowIso)
+        .get();
+      for (const doc of snapshot.docs) dueDocs.set(doc.id, doc);
+    }
+    const backfill = await getBackfillPage(db, windowStartIso);
+    for (const doc of backfill) dueDocs.set(doc.id, doc);
+
+    const changed = {};
+    const counts = {trial_ended: 0, grace_period_ended: 0, expired: 0};
+    for (const doc of dueDocs.values()) {
+      if (!reconcileSubscription(doc.data().subscription, nowMs)) continue;
+      try {
+        const changes = await reconcileUser(db, doc.ref, nowMs);
+        if (!changes) continue;
+        changed[doc.id] = changes;
+        for (const change of changes) counts[change] = (counts[change] || 0) + 1;
+      } catch (err) {
+        console.warn("reconcileSubscriptions: skip user " + doc.id, err);
+      }
+    }
+
+    console.log("reconcileSubscriptions: run completed", {checked: dueDocs.size, backfilled: backfill.length, counts});
+    await db.collection(RUNS_COLLECTION).add({
+      ranAt: new Date(nowMs),
+      checked: dueDocs.size,
+      backfilled: backfill.length,
+      counts,
+      changed,
+    });
+  },
+);
+
+module.exports = {reconcileSubscriptions};
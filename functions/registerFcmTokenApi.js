@@ -0,0 +1,98 @@
+/**
+ * Register FCM Token API: HTTP endpoint the app calls on every launch to
+ * register the device's push token for the signed-in user
+ * (Authorization: Bearer <Firebase ID token>).
+ * POST { token, platform, appVersion, locale } registers or refreshes the
+ * device; DELETE { token } removes it (e.g. on logout).
+ */
+
+const {onRequest} = require("firebase-functions/v2/https");
+const {getFirestore} = require("firebase-admin/firestore");
+const {getRequestUserId} = require("./requestAuth");
+const {findUserDoc} = require("./users");
+const {registerFcmToken, unregisterFcmToken} = require("./notifications/tokens");
+
+const MAX_FIELD_LENGTH = 64;
+const MAX_TOKEN_LENGTH = 4096;
+
+/**
+ * Returns a trimmed optional string field, capped at MAX_FIELD_LENGTH, or null.
+ * @param {*} value
+ * @returns {string|null}
+ */
+function optionalString(value) {
+  const s = (value ?? "").toString().trim();
+  return s ? s.slice(0, MAX_FIELD_LENGTH) : null;
+}
+
+const registerFcmTokenApi = onRequest(
+  {
+    region: "us-central1",
+    invoker: "public",
+  },
+  async (req, res) => {
+    console.log("[registerFcmTokenApi] Request received", {
+      method: req.method,
+      bodyKeys: req.body ? Object.keys(req.body) : [],
+      timestamp: new Date().toISOString(),
+    });
+
+    if (req.method !== "POST" && req.method !== "DELETE") {
+      res.status(405).json({ok: false, error: "Method Not Allowed"});
+      return;
+    }
+
+    const uid = await getRequestUserId(req);
+    if (!uid) {
+      console.warn("[registerFcmTokenApi] Unauthorized request");
+      res.status(401).json({ok: false, error: "Unauthorized"});
+      return;
+    }
+
+    const body = typeof req.body === "object" && req.body !== null ? req.body : {};
+    const token = (body.token ?? body.fcmToken ?? "").toString().trim();
+    if (!token || token.length > MAX_TOKEN_LENGTH) {
+      res.status(400).json({ok: false, error: "Send JSON: { token, platform, appVersion, locale }."});
+      return;
+    }
+
+    const db = getFirestore();
+    try {
+      const userDoc = await findUserDoc(db, uid);
+      if (!userDoc) {
+        res.status(404).json({ok: false, error: "User not found."});
+        return;
+      }
+
+      if (req.method === "DELETE") {
+        await unregisterFcmToken(userDoc.ref, token);
+        console.log("[registerFcmTokenApi] Token removed", {docId: userDoc.id});
+        res.status(200).json({ok: true, removed: true});
+        return;
+      }
+
+      const platform = optionalString(body.platform);
+      const {created, removedFromOtherUsers} = await registerFcmToken(db, userDoc.ref, {
+        token,
+        platform,
+        appVersion: optionalString(body.appVersion ?? body.app_version),
+        locale: optionalString(body.locale),
+      });
+      console.log("[registerFcmTokenApi] Token registered", {
+        docId: userDoc.id,
+        platform,
+        created,
+        removedFromOtherUsers,
+      });
+      res.status(200).json({ok: true, created});
+    } catch (err) {
+      console.error("[registerFcmTokenApi] Unexpected error", {
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ok: false, error: err.message || "Failed to register token."});
+    }
+  },
+);
+
+module.exports = {registerFcmTokenApi};
@@ -0,0 +1,87 @@
+/**
+ * Repair Streak API: HTTP endpoint for premium users to restore a streak that
+ * broke within the last 48 hours (Authorization: Bearer <Firebase ID token>).
+ * GET returns whether the signed-in user can repair right now; POST repairs.
+ * See streakRepair for the rules.
+ */
+
+const {onRequest} = require("firebase-functions/v2/https");
+const {getFirestore} = require("firebase-admin/firestore");
+const {getRequestUserId} = require("./requestAuth");
+const {findUserDoc} = require("./users");
+const {
+  MONTHLY_STREAK_REPAIR_LIMIT,
+  getStreakRepairEligibility,
+  countRepairsThisMonth,
+  repairStreak,
+} = require("./streakRepair");
+
+const repairStreakApi = onRequest(
+  {
+    region: "us-central1",
+    invoker: "public",
+  },
+  async (req, res) => {
+    console.log("[repairStreakApi] Request received", {
+      method: req.method,
+      timestamp: new Date().toISOString(),
+    });
+
+    if (req.method !== "GET" && req.method !== "POST") {
+      res.status(405).json({ok: false, error: "Method Not Allowed"});
+      return;
+    }
+
+    const uid = await getRequestUserId(req);
+    if (!uid) {
+      console.warn("[repairStreakApi] Unauthorized request");
+      res.status(401).json({ok: false, error: "Unauthorized"});
+      return;
+    }
+
+    const db = getFirestore();
+    const nowMs = Date.now();
+    try {
+      const userDoc = await findUserDoc(db, uid);
+      if (!userDoc) {
+        res.status(404).json({ok: false, error: "User not found."});
+        return;
+      }
+
+      if (req.method === "GET") {
+        const {eligible, error, streakBreak} = getStreakRepairEligibility(userDoc.data(), nowMs);
+        const repairsLeft = Math.max(MONTHLY_STREAK_REPAIR_LIMIT - await countRepairsThisMonth(userDoc.ref, nowMs), 0);
+        res.status(200).json({
+          ok: true,
+          eligible: eligible && repairsLeft > 0,
+          reason: error ?? null,
+          streak: streakBreak?.streak ?? null,
+          brokenDate: streakBreak?.date ?? null,
+          repairsLeft,
+        });
+        return;
+      }
+
+      const result = await repairStreak(db, userDoc.ref, nowMs);
+      console.log("[repairStreakApi] Repair result", {
+        docId: userDoc.id,
+        ok: result.ok,
+        currentStreak: result.currentStreak ?? null,
+        error: result.error || null,
+      });
+      if (!result.ok) {
+        res.status(400).json({ok: false, error: result.error});
+        return;
+      }
+      res.status(200).json({ok: true, currentStreak: result.currentStreak, repairsLeft: result.repairsLeft});
+    } catch (err) {
+      console.error("[repairStreakApi] Unexpected error", {
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ok: false, error: err.message || "Failed to repair streak."});
+    }
+  },
+);
+
+module.exports = {repairStreakApi};
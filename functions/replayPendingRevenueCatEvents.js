@@ -0,0 +1,29 @@
+/**
+ * Firestore trigger: when a user document is created, replays RevenueCat events
+ * that were parked because no user had that ID yet (guest purchases made right
+ * before userSetupApi creates or migrates the user document).
+ */
+
+const {onDocumentCreated} = require("firebase-functions/v2/firestore");
+const {getFirestore} = require("firebase-admin/firestore");
+const {replayPendingEvents} = require("./subscriptions/replay");
+
+const USERS_PATH = "users/{userId}";
+
+const replayPendingRevenueCatEvents = onDocumentCreated(
+  {
+    document: USERS_PATH,
+    region: "us-central1",
+  },
+  async (event) => {
+    const snap = event.data;
+    if (!snap) return;
+
+    const appUserId = typeof snap.data().id === "string" ? snap.data().id.trim() : "";
+    if (!appUserId) return;
+
+    await replayPendingEvents(getFirestore(), appUserId);
+  },
+);
+
+module.exports = {replayPendingRevenueCatEvents};
@@ -0,0 +1,73 @@
+/**
+ * Authentication helpers for HTTP endpoints. Admin endpoints expect
+ * "Authorization: Bearer <key>" where key is one of ADMIN_API_KEYS; user
+ * endpoints expect "Authorization: Bearer <Firebase ID token>".
+ */
+
+const crypto = require("crypto");
+const {getAuth} = require("firebase-admin/auth");
+const {getAdminConfig} = require("./config");
+
+/**
+ * Compares two strings in constant time (both are hashed first so lengths always match).
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function timingSafeEqualStrings(a, b) {
+  const hashA = crypto.createHash("sha256").update(String(a)).digest();
+  const hashB = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Extracts the token from a "Bearer <token>" Authorization header.
+ * @param {object} req - HTTP request
+ * @returns {string} Token, or empty string if missing
+ */
+function getBearerToken(req) {
+  const header = (req.headers.authorization || "").trim();
+  if (!header.toLowerCase().startsWith("bearer ")) return "";
+  return header.slice(7).trim();
+}
+
+/**
+ * Returns true if the request carries a valid admin API key.
+ * @param {object} req - HTTP request
+ * @returns {boolean}
+ */
+function isAdminRequest(req) {
+  const token = getBearerToken(req);
+  if (!token) return false;
+  const {apiKeys} = getAdminConfig();
+  // Check every key so timing doesn't reveal which one matched
+  let valid = false;
+  for (const key of apiKeys) {
+    if (timingSafeEqualStrings(token, key)) valid = true;
+  }
+  return valid;
+}
+
+/**
+ * Verifies the request's Firebase ID token and returns the signed-in user's uid.
+ * @param {object} req - HTTP request
+ * @returns {Promise<string|null>} uid, or null when the token is missing or invalid
+ */
+async function getRequestUserId(req) {
+  const token = getBearerToken(req);
+  if (!token) return null;
+  try {
+    const decoded = await getAuth().verifyIdToken(token);
+    return decoded.uid;
+  } catch (err) {
+    console.warn("[requestAuth] Invalid ID token", {error: err.message});
+    return null;
+  }
+}
+
+module.exports = {
+  timingSafeEqualStrings,
+  getBearerToken,
+  isAdminRequest,
+  getRequestUserId,
+};
@@ -0,0 +1,185 @@
+/**
+ * RevenueCat Resync API: admin HTTP endpoint that fetches subscribers from the
+ * RevenueCat REST API and rebuilds users/{docId}.subscription with the same
+ * subscription.js logic as the webhook. Send { userId } for one user, or
+ * { staleDays } to resync every user whose subscription.lastCheckedAt is older
+ * than that many days (paged: pass the returned nextStartAfter back as
+ * startAfter). Sandbox purchases of non-testers go to sandboxSubscription,
+ * as in the webhook, and RevenueCat data older than a field's lastCheckedAt
+ * is not written. An active promo is kept unless the RevenueCat
+ * subscription outlasts it.
+ */
+
+const {onRequest} = require("firebase-functions/v2/https");
+const {getFirestore, FieldPath} = require("firebase-admin/firestore");
+const {getPlanCatalog} = require("./config");
+const {applySubscriptionPrecedence, SANDBOX_SUBSCRIPTION_FIELD} = require("./subscription");
+const {isAdminRequest} = require("./requestAuth");
+const {findUserDoc, USERS_COLLECTION} = require("./users");
+const {fetchSubscriber, subscriptionsFromSubscriber} = require("./subscriptions/revenueCatApi");
+const {appendHistory, buildHistoryRecord} = require("./subscriptions/history");
+const {isStaleEvent} = require("./subscriptions/ledger");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_BULK_LIMIT = 100;
+const MAX_BULK_LIMIT = 500;
+
+/**
+ * Resyncs one user from RevenueCat. The RevenueCat app user ID is the user's "id" field.
+ * Each rebuilt subscription is written to the field the webhook would write it to, stamped
+ * with the latest change in the RevenueCat response; a field whose lastCheckedAt is newer
+ * (a webhook already applied something later) is left as is.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc - users/{docId}
+ * @param {object} catalog - Plan catalog
+ * @returns {Promise<{ docId: string, appUserId: string, found: boolean, subscription: object|null,
+ *   sandboxSubscription: object|null, stale: string[] }>}
+ */
+async function resyncUser(db, userDoc, catalog) {
+  const appUserId = userDoc.data().id || userDoc.id;
+  const nowMs = Date.now();
+  const subscriber = await fetchSubscriber(appUserId);
+  const rebuilt = subscriptionsFromSubscriber(subscriber, appUserId, catalog, userDoc.data(), nowMs);
+
+  if (Object.keys(rebuilt).length === 0) {
+    console.log("[revenueCatResyncApi] No known purchases in RevenueCat, leaving subscription as is", {
+      docId: userDoc.id,
+      appUserId,
+    });
+    return {docId: userDoc.id, appUserId, found: false, subscription: null, sandboxSubscription: null, stale: []};
+  }
+
+  const written = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(userDoc.ref);
+    const data = snap.exists ? snap.data() : {};
+    const result = {subscription: null, sandboxSubscription: null, stale: []};
+    const updates = {};
+    for (const [field, {subscription, event}] of Object.entries(rebuilt)) {
+      const previous = data[field] || null;
+      if (isStaleEvent(event, previous)) {
+        console.warn("[revenueCatResyncApi] RevenueCat data older than lastCheckedAt, skipping", {
+          docId: userDoc.id,
+          field,
+        });
+        result.stale.push(field);
+        continue;
+      }
+      if (field === SANDBOX_SUBSCRIPTION_FIELD) {
+        updates[field] = subscription;
+        result.sandboxSubscription = subscription;
+        continue;
+      }
+      const next = applySubscriptionPrecedence(previous, subscription, nowMs).subscription;
+      updates[field] = next;
+      appendHistory(tx, userDoc.ref, buildHistoryRecord(previous, next, {
+        type: "RESYNC",
+        event_timestamp_ms: event.event_timestamp_ms,
+      }));
+      result.subscription = next;
+    }
+    if (Object.keys(updates).length > 0) tx.update(userDoc.ref, updates);
+    return result;
+  });
+
+  return {docId: userDoc.id, appUserId, found: true, ...written};
+}
+
+const revenueCatResyncApi = onRequest(
+  {
+    region: "us-central1",
+    invoker: "public",
+    timeoutSeconds: 540,
+  },
+  async (req, res) => {
+    console.log("[revenueCatResyncApi] Request received", {
+      method: req.method,
+      bodyKeys: req.body ? Object.keys(req.body) : [],
+      timestamp: new Date().toISOString(),
+    });
+
+    if (req.method !== "POST") {
+      res.status(405).json({ok: false, error: "Method Not Allowed"});
+      return;
+    }
+
+    if (!isAdminRequest(req)) {
+      console.warn("[revenueCatResyncApi] Unauthorized request");
+      res.status(401).json({ok: false, error: "Unauthorized"});
+      return;
+    }
+
+    const body = typeof req.body === "object" && req.body !== null ? req.body : {};
+    const userId = (body.userId ?? body.user_id ?? "").toString().trim();
+    const staleDays = Number(body.staleDays ?? body.stale_days);
+
+    if (!userId && !(staleDays > 0)) {
+      res.status(400).json({
+        ok: false,
+        error: "Send JSON: { userId } to resync one user, or { staleDays, limit?, startAfter? } for bulk mode.",
+      });
+      return;
+    }
+
+    const db = getFirestore();
+    try {
+      const catalog = await getPlanCatalog(db);
+
+      if (userId) {
+        const userDoc = await findUserDoc(db, userId);
+        if (!userDoc) {
+          res.status(404).json({ok: false, error: "User not found."});
+          return;
+        }
+        const result = await resyncUser(db, userDoc, catalog);
+        res.status(200).json({ok: true, result});
+        return;
+      }
+
+      const limit = Math.min(Math.max(parseInt(body.limit, 10) || DEFAULT_BULK_LIMIT, 1), MAX_BULK_LIMIT);
+      const cutoffIso = new Date(Date.now() - staleDays * MS_PER_DAY).toISOString();
+      // Users without RevenueCat purchases keep their lastCheckedAt, so page with a cursor
+      let q = db.collection(USERS_COLLECTION)
+        .where("subscription.lastCheckedAt", "<", cutoffIso)
+        .orderBy("subscription.lastCheckedAt")
+        .orderBy(FieldPath.documentId())
+        .limit(limit);
+      const startAfter = body.startAfter ?? body.start_after;
+      if (startAfter?.lastCheckedAt && startAfter?.docId) {
+        q = q.startAfter(String(startAfter.lastCheckedAt), String(startAfter.docId));
+      }
+      const snapshot = await q.get();
+      const last = snapshot.size === limit ? snapshot.docs[snapshot.size - 1] : null;
+      const nextStartAfter = last ? {lastCheckedAt: last.get("subscription.lastCheckedAt"), docId: last.id} : null;
+
+      console.log("[revenueCatResyncApi] Bulk resync", {staleDays, cutoffIso, users: snapshot.size});
+
+      const results = [];
+      const errors = [];
+      for (const userDoc of snapshot.docs) {
+        try {
+          results.push(await resyncUser(db, userDoc, catalog));
+        } catch (err) {
+          console.error("[revenueCatResyncApi] Resync failed for user", userDoc.id, err.message);
+          errors.push({docId: userDoc.id, error: err.message});
+        }
+      }
+
+      res.status(200).json({
+        ok: errors.length === 0,
+        processed: snapshot.size,
+        resynced: results.filter((r) => r.found).length,
+        nextStartAfter,
+        results,
+        errors,
+      });
+    } catch (err) {
+      console.error("[revenueCatResyncApi] Unexpected error", {
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ok: false, error: err.message || "Resync failed."});
+    }
+  },
+);
+
+module.exports = {revenueCatResyncApi, resyncUser};
@@ -1,28 +1,55 @@
 /**
  * RevenueCat webhook HTTP handler. Validates requests, resolves user id from the
- * event, builds subscription payload (or null for cancel/expire), and updates
- * the user document in Firestore.
+ * event, builds subscription payload (status, willRenew, expiry), and updates
+ * the user document in Firestore. Events that don't change the subscription
+ * (TEST, unknown products, ...) leave it untouched. Every event is recorded in
+ * the event ledger (subscriptions/ledger.js) so retries and out-of-order
+ * deliveries are ignored. TRANSFER moves the subscription between app users.
  */
 
 const {onRequest} = require("firebase-functions/v2/https");
 const {getFirestore} = require("firebase-admin/firestore");
-const {getRevenueCatConfig} = require("./config");
-const {subscriptionFromEvent} = require("./subscription");
+const {getRevenueCatConfig, getPlanCatalog} = require("./config");
+const {
+  subscriptionFromEvent,
+  buildTransferSubscriptions,
+  applySubscriptionPrecedence,
+  getSubscriptionField,
+  SANDBOX_SUBSCRIPTION_FIELD,
+  GRANT_EVENT_TYPES,
+} = require("./subscription");
+const {recordEvent, isStaleEvent} = require("./subscriptions/ledger");
+const {appendHistory, buildHistoryRecord} = require("./subscriptions/history");
+const {parkEvent, pendingEventRef, PARK_REASONS} = require("./subscriptions/pendingEvents");
+const {extractRevenue, recordDailyAggregate} = require("./subscriptions/analytics");
+const {validateAuth, recordAuthFailure} = require("./subscriptions/webhookAuth");
+const {notifySubscriptionEvent} = require("./notifications/subscriptionLifecycle");
 
 const USERS_COLLECTION = "users";
 
+const TRANSFERS_COLLECTION = "subscription_transfers";
+
+/**
+ * Normalizes a list of RevenueCat app user IDs (trimmed, non-empty, unique).
+ * @param {Array<*>|undefined} ids
+ * @returns {string[]}
+ */
+function normalizeIds(ids) {
+  if (!Array.isArray(ids)) return [];
+  return [...new Set(ids.map((id) => String(id ?? "").trim()).filter(Boolean))];
+}
+
 /**
- * Resolves the user ID to update from a RevenueCat event. Prefers app_user_id (last seen),
+ * Resolves the user IDs to update from a RevenueCat event. Prefers app_user_id (last seen),
  * then transferred_to for TRANSFER events, then original_app_user_id.
  * @param {object} event - RevenueCat webhook event
- * @returns {string[]} Single-element array with user ID, or empty if none
+ * @returns {string[]} User IDs (every recipient for TRANSFER, otherwise at most one), or empty if none
  */
 function resolveUserIds(event) {
   if (!event) return [];
 
-  if (event.type === "TRANSFER" && Array.isArray(event.transferred_to) && event.transferred_to.length > 0) {
-    const id = String(event.transferred_to[0]).trim();
-    return id ? [id] : [];
+  if (event.type === "TRANSFER") {
+    return normalizeIds(event.transferred_to);
   }
 
   // Prefer Firebase UID set by the app via subscriber attributes
@@ -36,33 +63,273 @@ function resolveUserIds(event) {
 }
 
 /**
- * Validates RevenueCat webhook Authorization header (Bearer or Basic with shared secret).
- * @param {string} authHeader - Request Authorization header
- * @param {string} expectedAuth - Configured secret
- * @returns {boolean}
+ * Finds users/{docId} refs by the "id" field. IDs without a user document are skipped.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string[]} userIds - App user IDs
+ * @returns {Promise<Array<{ userId: string, ref: FirebaseFirestore.DocumentReference }>>}
  */
-function validateAuth(authHeader, expectedAuth) {
-  if (!expectedAuth || !authHeader) return false;
-  const trimmed = authHeader.trim();
-  if (trimmed.startsWith("Bearer ")) {
-    return trimmed.slice(7).trim() === expectedAuth.trim();
+async function findUserRefs(db, userIds) {
+  const found = [];
+  for (const userId of userIds) {
+    const querySnap = await db.collection(USERS_COLLECTION)
+      .where("id", "==", userId)
+      .limit(1)
+      .get();
+
+    if (querySnap.empty) {
+      console.warn("revenueCatWebhook: no user found with id field =", userId, "skipping");
+      continue;
+    }
+    found.push({userId, ref: querySnap.docs[0].ref});
   }
-  if (trimmed.toLowerCase().startsWith("basic ")) {
-    try {
-      const decoded = Buffer.from(trimmed.slice(6).trim(), "base64").toString("utf8");
-      const parts = decoded.split(":");
-      const secret = parts.length > 1 ? parts.slice(1).join(":") : parts[0];
-      return secret === expectedAuth.trim();
-    } catch {
-      return false;
+  return found;
+}
+
+/**
+ * Applies a RevenueCat event to the matching user documents through the event ledger
+ * and appends the transition to users/{docId}/subscription_history. Duplicate deliveries
+ * (same event.id) are acknowledged without writing, and users whose
+ * subscription.lastCheckedAt is newer than the event are left untouched. Events for app
+ * user IDs without a user document are parked in pending_revenuecat_events, and so are
+ * purchases of products missing from the plan catalog (replay them once the catalog has
+ * the product). Price, store
+ * and country are stored on the ledger entry and rolled up into revenue_daily. An active
+ * promo is only replaced under applySubscriptionPrecedence. State events (cancel, billing issue,
+ * pause, expire) update each user's stored subscription. SANDBOX events are written to
+ * sandboxSubscription (without history) unless the user is a tester.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {object} event - RevenueCat webhook event
+ * @param {object} [options]
+ * @param {string[]} [options.userIds] - Apply to these app user IDs instead of the ones in the event (replay)
+ * @param {string} [options.pendingAppUserId] - App user ID the event is parked under (replay); the parked
+ *   copy is removed once the event is applied, and it stays parked if the user is still missing
+ * @returns {Promise<{ duplicate: boolean, summary: object|null }>}
+ */
+async function processEvent(db, event, options = {}) {
+  if (event.type === "TRANSFER") {
+    return processTransfer(db, event, options);
+  }
+
+  const userIds = options.userIds || resolveUserIds(event);
+  console.log("revenueCatWebhook: resolved userIds", userIds);
+
+  const catalog = await getPlanCatalog(db);
+  const subscriptionPayload = subscriptionFromEvent(event, catalog);
+
+  const payloadLog = subscriptionPayload === null ? "null (no subscription change)" : subscriptionPayload;
+  console.log("revenueCatWebhook: subscriptionPayload", payloadLog);
+
+  const found = await findUserRefs(db, userIds);
+  const missingIds = userIds.filter((id) => !found.some((user) => user.userId === id));
+  const userRefs = found.map(({ref}) => ref);
+  const pendingAppUserId = options.pendingAppUserId || null;
+
+  const revenue = extractRevenue(event);
+
+  return recordEvent(db, event, userRefs, (tx, userSnaps, {replay}) => {
+    // Revenue is counted when the event is first recorded, whatever happens to the user update
+    const revenueCounted = !replay && recordDailyAggregate(tx, db, event, revenue, subscriptionPayload);
+
+    if (subscriptionPayload === null) {
+      // A purchase we can't map to a plan is kept for replay instead of being dropped
+      if (!GRANT_EVENT_TYPES.includes(event.type)) {
+        if (pendingAppUserId) tx.delete(pendingEventRef(db, pendingAppUserId, event.id));
+        return {outcome: "ignored", applied: [], stale: [], revenue, revenueCounted};
+      }
+      const parked = pendingAppUserId ? [pendingAppUserId] : userIds;
+      if (!pendingAppUserId) {
+        for (const appUserId of userIds) {
+          console.warn("revenueCatWebhook: parking event with unknown plan", appUserId, event.id);
+          parkEvent(tx, db, appUserId, event, PARK_REASONS.UNKNOWN_PLAN);
+        }
+      }
+      const outcome = parked.length > 0 ? "parked" : "no_user";
+      return {outcome, applied: [], stale: [], parked, reason: PARK_REASONS.UNKNOWN_PLAN, revenue, revenueCounted};
+    }
+
+    const applied = [];
+    const stale = [];
+    const promoPreserved = [];
+    const sandboxed = [];
+    for (const snap of userSnaps) {
+      if (!snap.exists) continue;
+      const field = getSubscriptionField(event, snap.data());
+      const previous = snap.data()[field] || null;
+      if (isStaleEvent(event, previous)) {
+        console.warn("revenueCatWebhook: out-of-order event, older than lastCheckedAt", snap.id, event.id);
+        stale.push(snap.id);
+        continue;
+      }
+      const payload = subscriptionFromEvent(event, catalog, previous);
+      if (field === SANDBOX_SUBSCRIPTION_FIELD) {
+        console.log("revenueCatWebhook: SANDBOX event for non-tester, writing", field, "docId:", snap.id);
+        tx.update(snap.ref, {[field]: payload});
+        sandboxed.push(snap.id);
+        applied.push(snap.id);
+        continue;
+      }
+      const {subscription, promoPreserved: keptPromo} = applySubscriptionPrecedence(previous, payload);
+      if (keptPromo) {
+        console.log("revenueCatWebhook: active promo kept, RevenueCat subscription stored under it", snap.id);
+        promoPreserved.push(snap.id);
+      }
+      console.log("revenueCatWebhook: updating Firestore for user", "docId:", snap.id, {subscription});
+      tx.update(snap.ref, {subscription});
+      appendHistory(tx, snap.ref, buildHistoryRecord(previous, subscription, event));
+      applied.push(snap.id);
+    }
+
+    const handled = applied.length > 0 || stale.length > 0;
+    const parked = [];
+    if (pendingAppUserId) {
+      if (handled) tx.delete(pendingEventRef(db, pendingAppUserId, event.id));
+      else parked.push(pendingAppUserId);
+    } else {
+      for (const appUserId of missingIds) {
+        console.warn("revenueCatWebhook: parking event until user exists", appUserId, event.id);
+        parkEvent(tx, db, appUserId, event);
+        parked.push(appUserId);
+      }
+    }
+
+    let outcome = "no_user";
+    if (applied.length > 0) outcome = "applied";
+    else if (stale.length > 0) outcome = "stale";
+    else if (parked.length > 0) outcome = "parked";
+    return {outcome, applied, stale, parked, promoPreserved, sandboxed, revenue, revenueCounted};
+  });
+}
+
+/**
+ * Applies a TRANSFER event: the subscription of the transferred_from users moves to every
+ * transferred_to user and the sources lose access. All users, their history records, the
+ * subscription_transfers audit record and the ledger entry are written in one transaction.
+ * Recipients without a user document get their share parked as a copy of the event with ID
+ * "<event.id>:<appUserId>" that carries the granted subscription (parked_transfer_subscription);
+ * replaying it grants that subscription to the recipient.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {object} event - RevenueCat TRANSFER event, or a parked recipient copy
+ * @param {object} [options] - userIds / pendingAppUserId, see processEvent
+ * @returns {Promise<{ duplicate: boolean, summary: object|null }>}
+ */
+async function processTransfer(db, event, options = {}) {
+  const parkedGrant = event.parked_transfer_subscription || null;
+  const fromIds = parkedGrant ? [] : normalizeIds(event.transferred_from);
+  const toIds = (options.userIds || resolveUserIds(event)).filter((id) => !fromIds.includes(id));
+  console.log("revenueCatWebhook: transfer", {from: fromIds, to: toIds, replay: !!parkedGrant});
+
+  const fromUsers = await findUserRefs(db, fromIds);
+  const toUsers = await findUserRefs(db, toIds);
+  const missingToIds = toIds.filter((id) => !toUsers.some((user) => user.userId === id));
+  const userRefs = [...fromUsers, ...toUsers].map(({ref}) => ref);
+  const pendingAppUserId = options.pendingAppUserId || null;
+
+  return recordEvent(db, event, userRefs, (tx, userSnaps) => {
+    const fromSnaps = userSnaps.slice(0, fromUsers.length);
+    const toSnaps = userSnaps.slice(fromUsers.length);
+    const transfer = {transferredFrom: fromIds, transferredTo: toIds};
+    const fieldOf = (snap) => getSubscriptionField(event, snap.data());
+    const {moved, grantTo, revoke} = parkedGrant ?
+      {moved: parkedGrant, grantTo: () => parkedGrant, revoke: null} :
+      buildTransferSubscriptions(fromSnaps.map((snap) => (snap.exists ? snap.data()[fieldOf(snap)] : null)), event);
+
+    if (!moved) {
+      console.warn("revenueCatWebhook: transfer has no source subscription to move", event.id);
+      return {outcome: "transfer_no_subscription", applied: [], stale: [], ...transfer};
+    }
+
+    const applied = [];
+    const stale = [];
+    const writeUser = (snap, field, next) => {
+      const previous = snap.data()[field] || null;
+      if (isStaleEvent(event, previous)) {
+        stale.push(snap.id);
+        return;
+      }
+      tx.update(snap.ref, {[field]: next});
+      if (field !== SANDBOX_SUBSCRIPTION_FIELD) appendHistory(tx, snap.ref, buildHistoryRecord(previous, next, event));
+      applied.push(snap.id);
+    };
+
+    toSnaps.forEach((snap, i) => {
+      if (!snap.exists) return;
+      const field = fieldOf(snap);
+      const granted = grantTo(toUsers[i].userId);
+      writeUser(snap, field, applySubscriptionPrecedence(snap.data()[field], granted).subscription);
+    });
+    for (const snap of fromSnaps) {
+      if (!snap.exists) continue;
+      const field = fieldOf(snap);
+      if (snap.data()[field]) writeUser(snap, field, revoke(snap.data()[field]));
     }
+
+    const parked = [];
+    if (pendingAppUserId) {
+      if (applied.length > 0 || stale.length > 0) tx.delete(pendingEventRef(db, pendingAppUserId, event.id));
+      else parked.push(pendingAppUserId);
+    } else {
+      for (const appUserId of missingToIds) {
+        console.warn("revenueCatWebhook: parking transfer until recipient exists", appUserId, event.id);
+        parkEvent(tx, db, appUserId, {
+          ...event,
+          id: `${event.id}:${appUserId}`,
+          transferred_from: [],
+          transferred_to: [appUserId],
+          parked_transfer_subscription: grantTo(appUserId),
+        });
+        parked.push(appUserId);
+      }
+    }
+
+    // A replayed recipient copy only finishes the original transfer
+    if (parkedGrant) {
+      let outcome = "parked";
+      if (applied.length > 0) outcome = "applied";
+      else if (stale.length > 0) outcome = "stale";
+      return {outcome, applied, stale, parked, ...transfer};
+    }
+
+    tx.set(db.collection(TRANSFERS_COLLECTION).doc(String(event.id)), {
+      eventId: String(event.id),
+      ...transfer,
+      fromDocIds: fromUsers.map(({ref}) => ref.id),
+      toDocIds: toUsers.map(({ref}) => ref.id),
+      subscription: moved,
+      applied,
+      stale,
+      parked,
+      eventTimestampMs: event.event_timestamp_ms || null,
+      transferredAt: new Date(),
+    });
+
+    return {outcome: "transferred", applied, stale, parked, ...transfer};
+  });
+}
+
+/**
+ * Sends subscription lifecycle pushes for the users an event was applied to. Failures are
+ * logged only: the event is already committed and must not be retried for a push.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {object} event - RevenueCat webhook event
+ * @param {object} summary - Ledger summary from processEvent
+ * @returns {Promise<void>}
+ */
+async function notifyApplied(db, event, summary) {
+  if (!summary?.applied?.length || summary.outcome === "transferred") return;
+  // Users still on a promo keep premium, and sandbox purchases of non-testers grant nothing
+  const skipped = [...(summary.promoPreserved || []), ...(summary.sandboxed || [])];
+  const userDocIds = summary.applied.filter((docId) => !skipped.includes(docId));
+  if (userDocIds.length === 0) return;
+  try {
+    await notifySubscriptionEvent(db, event, userDocIds);
+  } catch (err) {
+    console.warn("revenueCatWebhook: lifecycle notification failed", event.id, err);
   }
-  return false;
 }
 
 /**
  * RevenueCat webhook handler. Expects POST with JSON body and Authorization header.
- * Updates users/{userId}.subscription from the event, or sets subscription to null on cancel/expire.
+ * Updates users/{userId}.subscription from the event; access is only removed once the subscription expires.
  */
 const revenueCatWebhook = onRequest(
   {
@@ -84,19 +351,19 @@ const revenueCatWebhook = onRequest(
 
     const config = getRevenueCatConfig();
     console.log("revenueCatWebhook: config loaded", {
-      monthlyProductIds: config.monthlyProductIds,
-      yearlyProductIds: config.yearlyProductIds,
-      hasAuth: !!config.auth,
+      authSecretCount: config.authSecrets.length,
+      allowSandbox: config.allowSandbox,
     });
-    // TODO: re-enable auth once RevenueCat Authorization header is configured in the dashboard
-    // const authValid = validateAuth(req.headers.authorization || "", config.auth);
-    // if (!authValid) {
-    //   const hasAuthHeader = !!req.headers.authorization;
-    //   console.warn("revenueCatWebhook: rejected - unauthorized", {hasAuthHeader});
-    //   res.status(401).send("Unauthorized");
-    //   return;
-    // }
-    console.log("revenueCatWebhook: auth check skipped (temp)");
+
+    const db = getFirestore();
+    if (config.authSecrets.length === 0) {
+      console.error("revenueCatWebhook: REVENUECAT_WEBHOOK_AUTH is not configured, rejecting all requests");
+    }
+    if (!validateAuth(req.headers.authorization || "", config.authSecrets)) {
+      await recordAuthFailure(db, req, req.headers.authorization ? "invalid_secret" : "missing_header");
+      res.status(401).send("Unauthorized");
+      return;
+    }
 
     const body = typeof req.body === "object" && req.body !== null ? req.body : {};
 
@@ -107,58 +374,50 @@ const revenueCatWebhook = onRequest(
       return;
     }
 
+    if (!event.id) {
+      console.warn("revenueCatWebhook: rejected - event has no id", {type: event.type});
+      res.status(400).send("Missing event id");
+      return;
+    }
+
+    if (event.environment === "SANDBOX" && !config.allowSandbox) {
+      console.warn("revenueCatWebhook: ignoring SANDBOX event (REVENUECAT_ALLOW_SANDBOX is off)", {
+        id: event.id,
+        type: event.type,
+        app_user_id: event.app_user_id,
+      });
+      res.status(200).send("OK");
+      return;
+    }
+
     console.log("revenueCatWebhook: event received", {
+      id: event.id,
       type: event.type,
       app_user_id: event.app_user_id,
       original_app_user_id: event.original_app_user_id,
       firebaseId: event.subscriber_attributes?.firebaseId?.value,
       product_id: event.product_id,
+      transferred_from: event.transferred_from,
       transferred_to: event.transferred_to,
     });
 
-    const userIds = resolveUserIds(event);
-    console.log("revenueCatWebhook: resolved userIds", userIds);
-
-    if (userIds.length === 0) {
-      console.warn("revenueCatWebhook: no user IDs resolved from event, skipping update");
-      res.status(200).send("OK");
-      return;
-    }
-
-    const subscriptionPayload = subscriptionFromEvent(event, {
-      monthlyProductIds: config.monthlyProductIds,
-      yearlyProductIds: config.yearlyProductIds,
-    });
-
-    const payloadLog = subscriptionPayload === null ? "null (cancel/expire)" : subscriptionPayload;
-    console.log("revenueCatWebhook: subscriptionPayload", payloadLog);
-
-    const db = getFirestore();
-    const update = subscriptionPayload === null ? {subscription: null} : {subscription: subscriptionPayload};
-
-    for (const userId of userIds) {
-      try {
-        const querySnap = await db.collection(USERS_COLLECTION)
-          .where("id", "==", userId)
-          .limit(1)
-          .get();
-
-        if (querySnap.empty) {
-          console.warn("revenueCatWebhook: no user found with id field =", userId, "skipping");
-          continue;
-        }
-
-        const userDoc = querySnap.docs[0];
-        console.log("revenueCatWebhook: updating Firestore for user", userId, "docId:", userDoc.id, update);
-        await userDoc.ref.update(update);
-        console.log("revenueCatWebhook: Firestore update success for user", userId);
-      } catch (err) {
-        console.error("revenueCatWebhook: failed to update user", userId, err);
+    try {
+      const {duplicate, summary} = await processEvent(db, event);
+      if (duplicate) {
+        console.log("revenueCatWebhook: duplicate event, already in ledger", event.id);
+      } else {
+        console.log("revenueCatWebhook: event processed", event.id, summary);
+        await notifyApplied(db, event, summary);
       }
+    } catch (err) {
+      // Nothing was written (ledger + user updates share a transaction), so RevenueCat's retry is safe.
+      console.error("revenueCatWebhook: failed to process event", event.id, err);
+      res.status(500).send("Error");
+      return;
     }
 
     res.status(200).send("OK");
   },
 );
 
-module.exports = {revenueCatWebhook, validateAuth, resolveUserIds};
+module.exports = {revenueCatWebhook, validateAuth, resolveUserIds, processEvent};
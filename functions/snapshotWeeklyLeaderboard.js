@@ -0,0 +1,40 @@
+/**
+ * Scheduled function every Monday 13:00 UTC, once every user's Sunday has been
+ * closed by updateUserStreaksDaily (the last time zones end it at 12:00 UTC):
+ * snapshots the global leaderboard of the week that just ended (days done in the
+ * week, opted-out users left out) into weekly_leaderboards/{weekStart}.
+ * leaderboardApi serves the latest snapshot for the global scope.
+ */
+
+const {onSchedule} = require("firebase-functions/v2/scheduler");
+const {getFirestore} = require("firebase-admin/firestore");
+const {
+  WEEKLY_LEADERBOARDS_COLLECTION,
+  getWeekStartYmd,
+  buildWeeklyLeaderboard,
+} = require("./social/leaderboard");
+
+const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+const snapshotWeeklyLeaderboard = onSchedule(
+  {
+    schedule: "0 13 * * 1",
+    timeZone: "UTC",
+    region: "us-central1",
+  },
+  async () => {
+    const db = getFirestore();
+    const weekStart = getWeekStartYmd(Date.now() - MS_PER_WEEK);
+    const entries = await buildWeeklyLeaderboard(db, weekStart);
+
+    await db.collection(WEEKLY_LEADERBOARDS_COLLECTION).doc(weekStart).set({
+      weekStart,
+      createdAt: new Date(),
+      entries,
+    });
+
+    console.log("[snapshotWeeklyLeaderboard] Snapshot written", {weekStart, entries: entries.length});
+  },
+);
+
+module.exports = {snapshotWeeklyLeaderboard};
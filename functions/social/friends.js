@@ -0,0 +1,244 @@
+/**
+ * Friend graph: each friendship is mirrored under both users as
+ * users/{docId}/friends/{friendDocId} and always written to both sides in one
+ * transaction. A friend can also be made an accountability buddy: the user who
+ * sets it (isBuddy) is nudged when the friend's streak is about to break; the
+ * friend's mirror has buddiedBy so the nudge job can find the watchers.
+ * Users can opt out through users/{docId}.privacy (see getPrivacy).
+ */
+
+const FRIENDS_SUBCOLLECTION = "friends";
+// Firestore batch limit is 500 operations
+const MAX_BATCH_WRITES = 500;
+
+/** Values of friends/{id}.status, from the point of view of the document's owner. */
+const FRIEND_STATUS = {
+  PENDING_OUTGOING: "pending_outgoing",
+  PENDING_INCOMING: "pending_incoming",
+  ACCEPTED: "accepted",
+};
+
+/**
+ * Returns the user's privacy settings (users/{docId}.privacy); everything is on by default.
+ * @param {object|null|undefined} userData - users/{docId} data
+ * @returns {{ leaderboard: boolean, buddyNudges: boolean, friendRequests: boolean }}
+ *   leaderboard: shown on friend and global leaderboards; buddyNudges: buddies are told when
+ *   the user's streak is at risk; friendRequests: others can send friend requests
+ */
+function getPrivacy(userData) {
+  const privacy = userData?.privacy || {};
+  return {
+    leaderboard: privacy.leaderboard !== false,
+    buddyNudges: privacy.buddyNudges !== false,
+    friendRequests: privacy.friendRequests !== false,
+  };
+}
+
+/**
+ * Fields of a user shown to friends and on leaderboards. docId is for matching entries on the
+ * server and is never returned to other users.
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc - users/{docId}
+ * @returns {{ docId: string, name: string|null, currentStreak: number, bestStreak: number }}
+ */
+function getPublicProfile(userDoc) {
+  const data = userDoc.data() || {};
+  return {
+    docId: userDoc.id,
+    name: data.name ?? data.displayName ?? null,
+    currentStreak: typeof data.currentStreak === "number" ? data.currentStreak : 0,
+    bestStreak: typeof data.bestStreak === "number" ? data.bestStreak : 0,
+  };
+}
+
+/**
+ * Returns users/{ownerDocId}/friends/{friendDocId}.
+ * @param {FirebaseFirestore.DocumentReference} ownerRef - users/{docId}
+ * @param {string} friendDocId - Friend's users doc ID
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+function friendRef(ownerRef, friendDocId) {
+  return ownerRef.collection(FRIENDS_SUBCOLLECTION).doc(friendDocId);
+}
+
+/**
+ * Sends a friend request, or accepts straight away when the other user already asked.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc - Requesting user
+ * @param {FirebaseFirestore.DocumentSnapshot} otherDoc - User to befriend
+ * @returns {Promise<{ ok: boolean, status?: string, error?: string }>}
+ */
+async function requestFriend(db, userDoc, otherDoc) {
+  if (userDoc.id === otherDoc.id) return {ok: false, error: "You can't befriend yourself."};
+  const mineRef = friendRef(userDoc.ref, otherDoc.id);
+  const theirsRef = friendRef(otherDoc.ref, userDoc.id);
+
+  return db.runTransaction(async (tx) => {
+    const [mine, other] = await tx.getAll(mineRef, otherDoc.ref);
+    const current = mine.exists ? mine.data().status : null;
+    if (current === FRIEND_STATUS.ACCEPTED || current === FRIEND_STATUS.PENDING_OUTGOING) {
+      return {ok: true, status: current};
+    }
+
+    const now = new Date();
+    if (current === FRIEND_STATUS.PENDING_INCOMING) {
+      tx.update(mineRef, {status: FRIEND_STATUS.ACCEPTED, updatedAt: now});
+      tx.update(theirsRef, {status: FRIEND_STATUS.ACCEPTED, updatedAt: now});
+      return {ok: true, status: FRIEND_STATUS.ACCEPTED};
+    }
+
+    if (!getPrivacy(other.data()).friendRequests) {
+      return {ok: false, error: "This user doesn't accept friend requests."};
+    }
+    const base = {isBuddy: false, buddiedBy: false, createdAt: now, updatedAt: now};
+    tx.set(mineRef, {...base, friendUserId: otherDoc.data().id || otherDoc.id, status: FRIEND_STATUS.PENDING_OUTGOING});
+    tx.set(theirsRef, {...base, friendUserId: userDoc.data().id || userDoc.id, status: FRIEND_STATUS.PENDING_INCOMING});
+    return {ok: true, status: FRIEND_STATUS.PENDING_OUTGOING};
+  });
+}
+
+/**
+ * Accepts a pending incoming friend request.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc - User accepting
+ * @param {FirebaseFirestore.DocumentSnapshot} otherDoc - User who sent the request
+ * @returns {Promise<{ ok: boolean, status?: string, error?: string }>}
+ */
+async function acceptFriend(db, userDoc, otherDoc) {
+  const mineRef = friendRef(userDoc.ref, otherDoc.id);
+  const theirsRef = friendRef(otherDoc.ref, userDoc.id);
+
+  return db.runTransaction(async (tx) => {
+    const mine = await tx.get(mineRef);
+    const current = mine.exists ? mine.data().status : null;
+    if (current === FRIEND_STATUS.ACCEPTED) return {ok: true, status: current};
+    if (current !== FRIEND_STATUS.PENDING_INCOMING) return {ok: false, error: "No friend request from this user."};
+
+    const now = new Date();
+    tx.update(mineRef, {status: FRIEND_STATUS.ACCEPTED, updatedAt: now});
+    tx.update(theirsRef, {status: FRIEND_STATUS.ACCEPTED, updatedAt: now});
+    return {ok: true, status: FRIEND_STATUS.ACCEPTED};
+  });
+}
+
+/**
+ * Removes a friendship or declines/cancels a request, on both sides.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId}
+ * @param {FirebaseFirestore.DocumentReference} otherRef - Friend's users/{docId}
+ * @returns {Promise<{ ok: boolean, status: null }>}
+ */
+async function removeFriend(db, userRef, otherRef) {
+  const batch = db.batch();
+  batch.delete(friendRef(userRef, otherRef.id));
+  batch.delete(friendRef(otherRef, userRef.id));
+  await batch.commit();
+  return {ok: true, status: null};
+}
+
+/**
+ * Makes an accepted friend the user's accountability buddy (or stops it): the user is then
+ * nudged when the friend's streak is about to break.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId} of the watching user
+ * @param {FirebaseFirestore.DocumentReference} otherRef - Friend's users/{docId}
+ * @param {boolean} enabled - Whether the user wants to be the friend's buddy
+ * @returns {Promise<{ ok: boolean, status?: string, error?: string }>}
+ */
+async function setBuddy(db, userRef, otherRef, enabled) {
+  const mineRef = friendRef(userRef, otherRef.id);
+  const theirsRef = friendRef(otherRef, userRef.id);
+
+  return db.runTransaction(async (tx) => {
+    const mine = await tx.get(mineRef);
+    if (!mine.exists || mine.data().status !== FRIEND_STATUS.ACCEPTED) {
+      return {ok: false, error: "Only accepted friends can be buddies."};
+    }
+    const now = new Date();
+    tx.update(mineRef, {isBuddy: enabled, updatedAt: now});
+    tx.update(theirsRef, {buddiedBy: enabled, updatedAt: now});
+    return {ok: true, status: FRIEND_STATUS.ACCEPTED};
+  });
+}
+
+/**
+ * Lists the user's friends and requests.
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId}
+ * @returns {Promise<object[]>} friends/{id} data plus friendDocId
+ */
+async function listFriends(userRef) {
+  const snapshot = await userRef.collection(FRIENDS_SUBCOLLECTION).get();
+  return snapshot.docs.map((doc) => ({friendDocId: doc.id, ...doc.data()}));
+}
+
+/**
+ * Returns the users doc IDs of the accepted friends who chose this user as their buddy.
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId}
+ * @returns {Promise<string[]>}
+ */
+async function getBuddyWatchers(userRef) {
+  const snapshot = await userRef.collection(FRIENDS_SUBCOLLECTION)
+    .where("buddiedBy", "==", true)
+    .where("status", "==", FRIEND_STATUS.ACCEPTED)
+    .get();
+  return snapshot.docs.map((doc) => doc.id);
+}
+
+/**
+ * After migrateUser moved a user to a new document, points every friend's mirror document at
+ * the new doc ID (the user's own friends subcollection moves with USER_SUBCOLLECTIONS).
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} oldDocId - Previous users doc ID
+ * @param {FirebaseFirestore.DocumentReference} newUserRef - New users/{docId}
+ * @param {string} newUserId - New app user ID (friendUserId on the mirrors)
+ * @returns {Promise<number>} Number of mirrors moved
+ */
+async function repointFriendMirrors(db, oldDocId, newUserRef, newUserId) {
+  const snapshot = await newUserRef.collection(FRIENDS_SUBCOLLECTION).get();
+  const usersColl = newUserRef.parent;
+  let moved = 0;
+  for (const doc of snapshot.docs) {
+    const oldMirrorRef = friendRef(usersColl.doc(doc.id), oldDocId);
+    const mirror = await oldMirrorRef.get();
+    if (!mirror.exists) continue;
+    const batch = db.batch();
+    batch.set(friendRef(usersColl.doc(doc.id), newUserRef.id), {...mirror.data(), friendUserId: newUserId});
+    batch.delete(oldMirrorRef);
+    await batch.commit();
+    moved++;
+  }
+  return moved;
+}
+
+/**
+ * Deletes the user from every friend's friends subcollection (account deletion).
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId} being deleted
+ * @returns {Promise<number>} Number of mirrors deleted
+ */
+async function deleteFriendMirrors(db, userRef) {
+  const snapshot = await userRef.collection(FRIENDS_SUBCOLLECTION).get();
+  for (let i = 0; i < snapshot.docs.length; i += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    for (const doc of snapshot.docs.slice(i, i + MAX_BATCH_WRITES)) {
+      batch.delete(friendRef(userRef.parent.doc(doc.id), userRef.id));
+    }
+    await batch.commit();
+  }
+  return snapshot.size;
+}
+
+module.exports = {
+  FRIENDS_SUBCOLLECTION,
+  FRIEND_STATUS,
+  getPrivacy,
+  getPublicProfile,
+  friendRef,
+  requestFriend,
+  acceptFriend,
+  removeFriend,
+  setBuddy,
+  listFriends,
+  getBuddyWatchers,
+  repointFriendMirrors,
+  deleteFriendMirrors,
+};
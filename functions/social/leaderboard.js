@@ -0,0 +1,151 @@
+/**
+ * Streak leaderboards. The friends leaderboard is built live from the user's
+ * accepted friends and ranks currentStreak or bestStreak; the global one ranks
+ * the days done in a week (users.weeklyDaysDone, kept by updateUserStreaksDaily)
+ * and is snapshotted in weekly_leaderboards/{weekStart} (Monday, YYYY-MM-DD) by
+ * snapshotWeeklyLeaderboard once the week is over. Users with
+ * privacy.leaderboard false are left out of both (a user always sees themselves
+ * on their friends leaderboard). Entries never carry other users' IDs.
+ */
+
+const {FieldPath} = require("firebase-admin/firestore");
+const {USERS_COLLECTION} = require("../users");
+const {FRIENDS_SUBCOLLECTION, FRIEND_STATUS, getPrivacy, getPublicProfile} = require("./friends");
+
+const WEEKLY_LEADERBOARDS_COLLECTION = "weekly_leaderboards";
+const LEADERBOARD_METRICS = ["currentStreak", "bestStreak"];
+/** What the global weekly leaderboard ranks: days done in the week. */
+const WEEKLY_METRIC = "daysDone";
+const GLOBAL_LEADERBOARD_SIZE = 100;
+/** Extra users kept in the snapshot so opted-out users don't shrink the global leaderboard. */
+const GLOBAL_LEADERBOARD_HEADROOM = 100;
+
+/**
+ * Returns the Monday (UTC) of the week containing nowMs as YYYY-MM-DD.
+ * @param {number} [nowMs] - Current time in ms (default: Date.now())
+ * @returns {string} YYYY-MM-DD
+ */
+function getWeekStartYmd(nowMs = Date.now()) {
+  const date = new Date(nowMs);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday))
+    .toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the users/{docId} update counting a done day towards its week. Only that week is
+ * kept in weeklyDaysDone, so the map never grows.
+ * @param {object} userData - users/{docId} data before the day
+ * @param {string} dateYmd - The done day (the user's local date, YYYY-MM-DD)
+ * @returns {{ weeklyDaysDone: Object<string, number> }}
+ */
+function buildWeeklyDaysDoneUpdate(userData, dateYmd) {
+  const weekStart = getWeekStartYmd(Date.parse(dateYmd));
+  const daysDone = Number(userData?.weeklyDaysDone?.[weekStart]) || 0;
+  return {weeklyDaysDone: {[weekStart]: daysDone + 1}};
+}
+
+/**
+ * Sorts profiles by the metric (ties by currentStreak, then name) and adds 1-based ranks; equal
+ * values share a rank.
+ * @param {object[]} profiles - getPublicProfile results (or snapshot entries)
+ * @param {string} metric - One of LEADERBOARD_METRICS, or WEEKLY_METRIC
+ * @param {string} meDocId - users doc ID of the signed-in user
+ * @returns {{ name: string|null, value: number, rank: number, isMe: boolean }[]}
+ */
+function rankProfiles(profiles, metric, meDocId) {
+  const sorted = [...profiles].sort((a, b) => b[metric] - a[metric] ||
+    b.currentStreak - a.currentStreak ||
+    String(a.name ?? "").localeCompare(String(b.name ?? "")));
+  let rank = 0;
+  let previous = null;
+  return sorted.map((profile, index) => {
+    if (profile[metric] !== previous) {
+      rank = index + 1;
+      previous = profile[metric];
+    }
+    return {name: profile.name, value: profile[metric], rank, isMe: profile.docId === meDocId};
+  });
+}
+
+/**
+ * Builds the user's friends leaderboard (accepted friends plus the user).
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc - users/{docId} of the signed-in user
+ * @param {string} metric - One of LEADERBOARD_METRICS
+ * @returns {Promise<object[]>} Ranked entries (see rankProfiles)
+ */
+async function getFriendsLeaderboard(db, userDoc, metric) {
+  const friendsSnap = await userDoc.ref.collection(FRIENDS_SUBCOLLECTION)
+    .where("status", "==", FRIEND_STATUS.ACCEPTED)
+    .get();
+  const friendRefs = friendsSnap.docs.map((doc) => userDoc.ref.parent.doc(doc.id));
+  const friendDocs = friendRefs.length > 0 ? await db.getAll(...friendRefs) : [];
+
+  const profiles = [getPublicProfile(userDoc)];
+  for (const doc of friendDocs) {
+    if (!doc.exists || !getPrivacy(doc.data()).leaderboard) continue;
+    profiles.push(getPublicProfile(doc));
+  }
+  return rankProfiles(profiles, metric, userDoc.id);
+}
+
+/**
+ * Reads the users with the most days done in the week, for the snapshot. Opted-out users are
+ * left out; the entries are unranked, since leaderboardApi ranks them after re-checking privacy.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @returns {Promise<{ docId: string, name: string|null, daysDone: number, currentStreak: number }[]>}
+ */
+async function buildWeeklyLeaderboard(db, weekStart) {
+  const field = new FieldPath("weeklyDaysDone", weekStart);
+  const snapshot = await db.collection(USERS_COLLECTION)
+    .orderBy(field, "desc")
+    .limit(GLOBAL_LEADERBOARD_SIZE + GLOBAL_LEADERBOARD_HEADROOM)
+    .get();
+  return snapshot.docs
+    .filter((doc) => getPrivacy(doc.data()).leaderboard)
+    .map((doc) => {
+      const {docId, name, currentStreak} = getPublicProfile(doc);
+      return {docId, name, [WEEKLY_METRIC]: Number(doc.get(field)) || 0, currentStreak};
+    })
+    .filter((entry) => entry[WEEKLY_METRIC] > 0);
+}
+
+/**
+ * Returns the most recent weekly leaderboard, ranked for the signed-in user. Users who opted
+ * out since the snapshot are dropped here, so the ranks close up.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} meDocId - users doc ID of the signed-in user
+ * @returns {Promise<{ weekStart: string|null, entries: object[] }>} Top GLOBAL_LEADERBOARD_SIZE
+ *   ranked entries (see rankProfiles)
+ */
+async function getWeeklyLeaderboard(db, meDocId) {
+  const snapshot = await db.collection(WEEKLY_LEADERBOARDS_COLLECTION)
+    .orderBy("weekStart", "desc")
+    .limit(1)
+    .get();
+  if (snapshot.empty) return {weekStart: null, entries: []};
+
+  const {weekStart, entries = []} = snapshot.docs[0].data();
+  const refs = entries.map((entry) => db.collection(USERS_COLLECTION).doc(entry.docId));
+  const userDocs = refs.length > 0 ? await db.getAll(...refs, {fieldMask: ["privacy"]}) : [];
+  const visible = entries.filter((entry, i) => userDocs[i].exists && getPrivacy(userDocs[i].data()).leaderboard);
+  return {
+    weekStart,
+    entries: rankProfiles(visible, WEEKLY_METRIC, meDocId).slice(0, GLOBAL_LEADERBOARD_SIZE),
+  };
+}
+
+module.exports = {
+  WEEKLY_LEADERBOARDS_COLLECTION,
+  LEADERBOARD_METRICS,
+  WEEKLY_METRIC,
+  GLOBAL_LEADERBOARD_SIZE,
+  getWeekStartYmd,
+  buildWeeklyDaysDoneUpdate,
+  rankProfiles,
+  getFriendsLeaderboard,
+  buildWeeklyLeaderboard,
+  getWeeklyLeaderboard,
+};
@@ -0,0 +1,154 @@
+/**
+ * Premium streak repair: when updateUserStreaksDaily breaks a streak it keeps
+ * the run in users/{docId}.streakBreak ({ streak, startedAt, date, brokenAt }).
+ * Within STREAK_REPAIR_WINDOW_MS of the break, a user with an active
+ * subscription can restore it (up to MONTHLY_STREAK_REPAIR_LIMIT times per
+ * calendar month, UTC). The missed day is added to streakRepairedDates and
+ * every repair is logged in users/{docId}/streak_repairs.
+ */
+
+const {FieldValue} = require("firebase-admin/firestore");
+const {getDayAfterYYYYMMDD} = require("./streaks");
+
+const STREAK_REPAIRS_SUBCOLLECTION = "streak_repairs";
+const STREAK_REPAIR_WINDOW_MS = 48 * 60 * 60 * 1000;
+const MONTHLY_STREAK_REPAIR_LIMIT = 2;
+
+/**
+ * Returns a Firestore timestamp, Date or ISO string as ms, or NaN.
+ * @param {object|string|Date|null|undefined} value
+ * @returns {number}
+ */
+function toMillis(value) {
+  if (!value) return NaN;
+  if (typeof value.toDate === "function") return value.toDate().getTime();
+  if (value instanceof Date) return value.getTime();
+  return Date.parse(value);
+}
+
+/**
+ * Returns the first instant of the UTC calendar month containing nowMs.
+ * @param {number} nowMs - Current time in ms
+ * @returns {Date}
+ */
+function getMonthStart(nowMs) {
+  const now = new Date(nowMs);
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * Builds users/{docId}.streakBreak for a streak that was just reset to 0.
+ * @param {object} userData - users/{docId} data before the reset (currentStreak, currentStreakStartedAt)
+ * @param {string} dateYmd - The missed day (YYYY-MM-DD)
+ * @param {number} nowMs - Current time in ms
+ * @returns {{ streak: number, startedAt: string|null, date: string, brokenAt: Date }}
+ */
+function buildStreakBreak(userData, dateYmd, nowMs) {
+  return {
+    streak: Number(userData?.currentStreak) || 0,
+    startedAt: userData?.currentStreakStartedAt || null,
+    date: dateYmd,
+    brokenAt: new Date(nowMs),
+  };
+}
+
+/**
+ * Checks whether the user can repair their last broken streak, apart from the monthly limit.
+ * The streak can only be repaired while every day processed since the break was done, so the
+ * break is the only missed day.
+ * @param {object} userData - users/{docId} data
+ * @param {number} nowMs - Current time in ms
+ * @returns {{ eligible: boolean, error?: string, streakBreak?: object }}
+ */
+function getStreakRepairEligibility(userData, nowMs) {
+  if (userData?.subscription?.isActive !== true) {
+    return {eligible: false, error: "Streak repair is a premium feature."};
+  }
+  const streakBreak = userData.streakBreak;
+  if (!streakBreak || !(Number(streakBreak.streak) > 0) || !streakBreak.date) {
+    return {eligible: false, error: "No broken streak to repair."};
+  }
+  if (!(nowMs - toMillis(streakBreak.brokenAt) <= STREAK_REPAIR_WINDOW_MS)) {
+    return {eligible: false, error: "The repair window for this streak has closed."};
+  }
+
+  let daysSinceBreak = 0;
+  const lastProcessed = userData.lastStreakProcessedDate || streakBreak.date;
+  for (let date = getDayAfterYYYYMMDD(streakBreak.date); date <= lastProcessed; date = getDayAfterYYYYMMDD(date)) {
+    daysSinceBreak++;
+  }
+  if ((Number(userData.currentStreak) || 0) !== daysSinceBreak) {
+    return {eligible: false, error: "The streak can't be repaired after another missed day."};
+  }
+  return {eligible: true, streakBreak};
+}
+
+/**
+ * Counts the user's repairs in the current calendar month.
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId}
+ * @param {number} nowMs - Current time in ms
+ * @param {FirebaseFirestore.Transaction} [tx] - Read inside this transaction when given
+ * @returns {Promise<number>}
+ */
+async function countRepairsThisMonth(userRef, nowMs, tx) {
+  const query = userRef.collection(STREAK_REPAIRS_SUBCOLLECTION).where("repairedAt", ">=", getMonthStart(nowMs));
+  const snapshot = tx ? await tx.get(query) : await query.get();
+  return snapshot.size;
+}
+
+/**
+ * Restores the user's broken streak in a transaction: currentStreak becomes the pre-break
+ * streak plus the days done since, the run keeps its original start, and the repair is logged.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId}
+ * @param {number} nowMs - Current time in ms
+ * @returns {Promise<{ ok: boolean, error?: string, currentStreak?: number, repairsLeft?: number }>}
+ */
+async function repairStreak(db, userRef, nowMs) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(userRef);
+    if (!snap.exists) return {ok: false, error: "User not found."};
+    const userData = snap.data();
+
+    const {eligible, error, streakBreak} = getStreakRepairEligibility(userData, nowMs);
+    if (!eligible) return {ok: false, error};
+    const used = await countRepairsThisMonth(userRef, nowMs, tx);
+    if (used >= MONTHLY_STREAK_REPAIR_LIMIT) {
+      return {ok: false, error: `You've used all ${MONTHLY_STREAK_REPAIR_LIMIT} streak repairs this month.`};
+    }
+
+    const daysSinceBreak = Number(userData.currentStreak) || 0;
+    const currentStreak = Number(streakBreak.streak) + daysSinceBreak;
+    const bestStreak = Math.max(Number(userData.bestStreak) || 0, currentStreak);
+    const repairedAt = new Date(nowMs);
+
+    tx.update(userRef, {
+      currentStreak,
+      bestStreak,
+      currentStreakStartedAt: streakBreak.startedAt || null,
+      streakBreak: null,
+      streakRepairedDates: FieldValue.arrayUnion(streakBreak.date),
+      lastStreakRepairedAt: repairedAt,
+    });
+    tx.set(userRef.collection(STREAK_REPAIRS_SUBCOLLECTION).doc(), {
+      brokenDate: streakBreak.date,
+      brokenAt: streakBreak.brokenAt,
+      restoredStreak: Number(streakBreak.streak),
+      daysSinceBreak,
+      currentStreak,
+      planType: userData.subscription?.planType ?? null,
+      repairedAt,
+    });
+    return {ok: true, currentStreak, repairsLeft: MONTHLY_STREAK_REPAIR_LIMIT - used - 1};
+  });
+}
+
+module.exports = {
+  STREAK_REPAIRS_SUBCOLLECTION,
+  STREAK_REPAIR_WINDOW_MS,
+  MONTHLY_STREAK_REPAIR_LIMIT,
+  buildStreakBreak,
+  getStreakRepairEligibility,
+  countRepairsThisMonth,
+  repairStreak,
+};
@@ -1,25 +1,93 @@
 /**
  * Daily streak logic: yesterday's date in a timezone, day-done check from
- * daily_tasks fields, and normalizing taskDate to YYYY-MM-DD.
+ * daily_tasks fields (driven by the task catalog), normalizing taskDate to
+ * YYYY-MM-DD, streak freezes and per-task streaks.
  */
 
 const TASK_FIELDS = ["activity", "education", "hydration", "nutrition", "recovery"];
+/** Labels of the built-in tasks, used in push copy ("All you need to do is <label>"). */
+const DEFAULT_TASK_LABELS = {
+  activity: "get moving",
+  education: "learn something",
+  hydration: "stay hydrated",
+  nutrition: "eat well",
+  recovery: "recover",
+};
+/**
+ * Task catalog used when config/task_catalog is missing: the five built-in tasks with
+ * weight 1, and a day is done once the done tasks weigh at least doneThreshold (any task).
+ */
+const DEFAULT_TASK_CATALOG = {
+  tasks: TASK_FIELDS.map((key) => ({
+    key,
+    label: DEFAULT_TASK_LABELS[key],
+    weight: 1,
+    activeFrom: null,
+    activeUntil: null,
+  })),
+  doneThreshold: 1,
+};
 const DAILY_TASKS_COLLECTION = "daily_tasks";
 const USERS_COLLECTION = "users";
 const DEFAULT_TIMEZONE = "Asia/Karachi";
+/** A freeze is earned each time currentStreak reaches a multiple of this many days. */
+const FREEZE_EARN_EVERY_DAYS = 7;
+/** Freeze balance cap; premium users (active subscription) earn one extra freeze per milestone and hold more. */
+const MAX_STREAK_FREEZES = 3;
+const PREMIUM_MAX_STREAK_FREEZES = 5;
 /** Default UTC offset in minutes when user timezone is missing or invalid (Asia/Karachi = UTC+5). */
 const DEFAULT_OFFSET_MINUTES = 5 * 60;
 
+/** Intl formatters per IANA time zone, reused across users. */
+const timeZoneFormatters = new Map();
+
+/**
+ * Returns the UTC offset of an IANA time zone at a given instant, so DST is applied
+ * for that moment (e.g. -240 for America/New_York in July, -300 in January).
+ * @param {string} timeZone - IANA time zone (e.g. "America/New_York")
+ * @param {number} [nowMs] - Instant in ms (default: Date.now())
+ * @returns {number} Offset from UTC in minutes
+ * @throws {RangeError} If the time zone is unknown
+ */
+function getTimeZoneOffsetMinutes(timeZone, nowMs = Date.now()) {
+  let formatter = timeZoneFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    timeZoneFormatters.set(timeZone, formatter);
+  }
+  const parts = {};
+  for (const {type, value} of formatter.formatToParts(new Date(nowMs))) parts[type] = Number(value);
+  const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallMs - Math.floor(nowMs / 1000) * 1000) / 60000);
+}
+
 /**
- * Parses user timezone string from Firestore (e.g. "UTC+5", "UTC+5:30", "UTC-3").
- * @param {string|null|undefined} value - Raw timezone (e.g. "UTC+5", "UTC+5:30")
+ * Parses user timezone string from Firestore: an IANA name (e.g. "America/New_York"),
+ * resolved with DST at nowMs, or the legacy fixed format ("UTC+5", "UTC+5:30", "UTC-3").
+ * @param {string|null|undefined} value - Raw timezone (e.g. "Europe/London", "UTC+5")
+ * @param {number} [nowMs] - Instant the offset is needed for (default: Date.now())
  * @returns {number} Offset from UTC in minutes (e.g. 300 for UTC+5, 330 for UTC+5:30)
  */
-function parseTimezoneToOffsetMinutes(value) {
+function parseTimezoneToOffsetMinutes(value, nowMs = Date.now()) {
   if (value == null || typeof value !== "string") return DEFAULT_OFFSET_MINUTES;
   const s = value.trim();
   const match = /^UTC([+-])(\d+)(?::(\d+))?$/i.exec(s);
-  if (!match) return DEFAULT_OFFSET_MINUTES;
+  if (!match) {
+    try {
+      return s ? getTimeZoneOffsetMinutes(s, nowMs) : DEFAULT_OFFSET_MINUTES;
+    } catch (err) {
+      return DEFAULT_OFFSET_MINUTES;
+    }
+  }
   const sign = match[1] === "+" ? 1 : -1;
   const hours = parseInt(match[2], 10) || 0;
   const minutes = parseInt(match[3], 10) || 0;
@@ -27,12 +95,17 @@ function parseTimezoneToOffsetMinutes(value) {
 }
 
 /**
- * Returns local date and time for a given UTC offset (user's "now").
- * @param {number} offsetMinutes - Offset from UTC in minutes (e.g. 300 for UTC+5)
+ * Returns local date and time for a UTC offset or a user timezone (user's "now"). A timezone
+ * string is resolved at nowMs, so IANA zones get the right DST offset for that instant.
+ * @param {number|string|null|undefined} offsetOrTimezone - Offset from UTC in minutes (e.g. 300),
+ *   or users.timezone (e.g. "America/New_York", "UTC+5"; missing/invalid uses the default)
  * @param {number} [nowMs] - Current time in ms (default: Date.now())
  * @returns {{ dateYmd: string, hour: number, minute: number }}
  */
-function getLocalTimeForOffset(offsetMinutes, nowMs = Date.now()) {
+function getLocalTimeForOffset(offsetOrTimezone, nowMs = Date.now()) {
+  const offsetMinutes = typeof offsetOrTimezone === "number" ?
+    offsetOrTimezone :
+    parseTimezoneToOffsetMinutes(offsetOrTimezone, nowMs);
   const d = new Date(nowMs + offsetMinutes * 60 * 1000);
   const y = d.getUTCFullYear();
   const m = String(d.getUTCMonth() + 1).padStart(2, "0");
@@ -45,13 +118,13 @@ function getLocalTimeForOffset(offsetMinutes, nowMs = Date.now()) {
 }
 
 /**
- * Returns today's date as YYYY-MM-DD for a given UTC offset.
- * @param {number} offsetMinutes - Offset from UTC in minutes
+ * Returns today's date as YYYY-MM-DD for a UTC offset or a user timezone.
+ * @param {number|string|null|undefined} offsetOrTimezone - See getLocalTimeForOffset
  * @param {number} [nowMs] - Current time in ms (default: Date.now())
  * @returns {string} YYYY-MM-DD
  */
-function getTodayYMDForOffset(offsetMinutes, nowMs = Date.now()) {
-  return getLocalTimeForOffset(offsetMinutes, nowMs).dateYmd;
+function getTodayYMDForOffset(offsetOrTimezone, nowMs = Date.now()) {
+  return getLocalTimeForOffset(offsetOrTimezone, nowMs).dateYmd;
 }
 
 /**
@@ -86,6 +159,57 @@ function getDayAfterYYYYMMDD(yyyyMmDd) {
   return next.toISOString().slice(0, 10);
 }
 
+/**
+ * Returns the day before a YYYY-MM-DD date string (handles month/year boundaries).
+ * @param {string} yyyyMmDd - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function getDayBeforeYYYYMMDD(yyyyMmDd) {
+  const [y, m, d] = yyyyMmDd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d - 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Returns yesterday's date as YYYY-MM-DD for a UTC offset or a user timezone (the user's last
+ * finished day).
+ * @param {number|string|null|undefined} offsetOrTimezone - See getLocalTimeForOffset
+ * @param {number} [nowMs] - Current time in ms (default: Date.now())
+ * @returns {string} YYYY-MM-DD
+ */
+function getYesterdayYMDForOffset(offsetOrTimezone, nowMs = Date.now()) {
+  return getDayBeforeYYYYMMDD(getTodayYMDForOffset(offsetOrTimezone, nowMs));
+}
+
+/**
+ * Returns the instant a local date starts (its local midnight) for a UTC offset or a user
+ * timezone, with the offset in effect at that instant (DST-aware).
+ * @param {string} dateYmd - Local date (YYYY-MM-DD)
+ * @param {number|string|null|undefined} offsetOrTimezone - See getLocalTimeForOffset
+ * @returns {number} UTC time in ms
+ */
+function getLocalDayStartMs(dateYmd, offsetOrTimezone) {
+  const [y, m, d] = dateYmd.split("-").map(Number);
+  const wallMs = Date.UTC(y, m - 1, d);
+  const offsetAt = (ms) => typeof offsetOrTimezone === "number" ?
+    offsetOrTimezone :
+    parseTimezoneToOffsetMinutes(offsetOrTimezone, ms);
+  // The offset at the wall-clock time is right unless a DST change falls in between
+  const guessMs = wallMs - offsetAt(wallMs) * 60 * 1000;
+  return wallMs - offsetAt(guessMs) * 60 * 1000;
+}
+
+/**
+ * Returns when the day after lastProcessedYmd has ended for the user (the local midnight two
+ * days after it), i.e. when updateUserStreaksDaily next has a day to close.
+ * @param {string} lastProcessedYmd - users.lastStreakProcessedDate (YYYY-MM-DD)
+ * @param {number|string|null|undefined} offsetOrTimezone - See getLocalTimeForOffset
+ * @returns {Date}
+ */
+function getNextStreakProcessAt(lastProcessedYmd, offsetOrTimezone) {
+  const dayAfterNext = getDayAfterYYYYMMDD(getDayAfterYYYYMMDD(lastProcessedYmd));
+  return new Date(getLocalDayStartMs(dayAfterNext, offsetOrTimezone));
+}
+
 /**
  * Normalizes taskDate to YYYY-MM-DD (handles "2026-01-28T00:00:00.000" or "2026-01-28").
  * @param {string|null|undefined} value - Raw taskDate from Firestore
@@ -99,16 +223,86 @@ function normalizeTaskDateToYYYYMMDD(value) {
 }
 
 /**
- * Returns true if the daily_tasks document counts as "day done" (at least one task true).
- * @param {object} data - Document data (activity, education, hydration, nutrition, recovery)
+ * Normalizes a stored task catalog (config/task_catalog):
+ *   { tasks: [{ key, label?, weight?, activeFrom?, activeUntil? }], doneThreshold? }
+ * activeFrom / activeUntil are inclusive YYYY-MM-DD dates; weight defaults to 1, and entries with a
+ * weight that is not a positive number are logged and skipped. Falls back to DEFAULT_TASK_CATALOG
+ * when there are no valid tasks.
+ * @param {object|null|undefined} stored - Catalog document data
+ * @returns {{ tasks: object[], doneThreshold: number }}
+ */
+function normalizeTaskCatalog(stored) {
+  const tasks = [];
+  for (const entry of Array.isArray(stored?.tasks) ? stored.tasks : []) {
+    const key = typeof entry?.key === "string" ? entry.key.trim() : "";
+    if (!key || tasks.some((task) => task.key === key)) continue;
+    const weight = Number(entry.weight ?? 1);
+    if (!(weight > 0) || !Number.isFinite(weight)) {
+      console.warn("config: task catalog entry has an invalid weight, skipping it", {key, weight: entry.weight});
+      continue;
+    }
+    tasks.push({
+      key,
+      label: (entry.label || DEFAULT_TASK_LABELS[key] || key).toString(),
+      weight,
+      activeFrom: normalizeTaskDateToYYYYMMDD(entry.activeFrom),
+      activeUntil: normalizeTaskDateToYYYYMMDD(entry.activeUntil),
+    });
+  }
+  if (tasks.length === 0) return DEFAULT_TASK_CATALOG;
+
+  const doneThreshold = Number(stored.doneThreshold);
+  return {tasks, doneThreshold: doneThreshold > 0 ? doneThreshold : DEFAULT_TASK_CATALOG.doneThreshold};
+}
+
+/**
+ * Returns the catalog tasks active on a day (all tasks when the day is unknown).
+ * @param {{ tasks: object[] }} catalog - Task catalog
+ * @param {string|null} [dateYmd] - YYYY-MM-DD
+ * @returns {object[]}
+ */
+function getActiveTasks(catalog, dateYmd) {
+  return (catalog || DEFAULT_TASK_CATALOG).tasks.filter((task) => !dateYmd ||
+    ((!task.activeFrom || task.activeFrom <= dateYmd) && (!task.activeUntil || task.activeUntil >= dateYmd)));
+}
+
+/**
+ * Counts the active tasks done in a daily_tasks document (or archived tasks map).
+ * @param {object} data - Task fields (key -> true when done), optionally taskDate / date
+ * @param {{ tasks: object[], doneThreshold: number }} [catalog] - Task catalog (default: built-in tasks)
+ * @param {string|null} [dateYmd] - Day of the data (default: data.taskDate or data.date)
+ * @returns {{ completed: number, total: number, completedWeight: number, remaining: string[] }}
+ *   remaining lists the labels of the tasks not done
+ */
+function getCompletedAndRemaining(data, catalog = DEFAULT_TASK_CATALOG, dateYmd) {
+  const day = dateYmd ?? normalizeTaskDateToYYYYMMDD(data?.taskDate ?? data?.date);
+  const tasks = getActiveTasks(catalog, day);
+  let completed = 0;
+  let completedWeight = 0;
+  const remaining = [];
+  for (const task of tasks) {
+    if (data?.[task.key] === true) {
+      completed++;
+      completedWeight += task.weight;
+    } else {
+      remaining.push(task.label);
+    }
+  }
+  return {completed, total: tasks.length, completedWeight, remaining};
+}
+
+/**
+ * Returns true if the daily_tasks document counts as "day done": the active tasks done weigh
+ * at least the catalog's doneThreshold (with the default catalog: at least one task true).
+ * @param {object} data - Document data (task key -> true when done)
+ * @param {{ tasks: object[], doneThreshold: number }} [catalog] - Task catalog (default: built-in tasks)
+ * @param {string|null} [dateYmd] - Day of the data (default: data.taskDate or data.date)
  * @returns {boolean}
  */
-function isDayDone(data) {
+function isDayDone(data, catalog = DEFAULT_TASK_CATALOG, dateYmd) {
   if (!data || typeof data !== "object") return false;
-  for (const key of TASK_FIELDS) {
-    if (data[key] === true) return true;
-  }
-  return false;
+  const {completedWeight} = getCompletedAndRemaining(data, catalog, dateYmd);
+  return completedWeight > 0 && completedWeight >= (catalog || DEFAULT_TASK_CATALOG).doneThreshold;
 }
 
 /**
@@ -128,19 +322,137 @@ function computeNewStreaks(dayDone, currentStreak, bestStreak) {
   return {currentStreak: 0, bestStreak: best};
 }
 
+/**
+ * Applies one finished day to the user's streak with streak freezes: a missed day with a
+ * freeze in the balance keeps currentStreak (the freeze is consumed) instead of resetting
+ * it, and reaching every FREEZE_EARN_EVERY_DAYS-day mark earns a freeze (two for premium),
+ * up to the balance cap. Otherwise the same as computeNewStreaks.
+ * @param {boolean} dayDone - Whether the day was completed
+ * @param {object} userData - users/{userId} data (currentStreak, bestStreak, streakFreezes, subscription)
+ * @returns {{ currentStreak: number, bestStreak: number, streakFreezes: number, freezeUsed: boolean,
+ *   freezesEarned: number }}
+ */
+function applyStreakDay(dayDone, userData) {
+  const balance = Math.max(Number(userData?.streakFreezes) || 0, 0);
+  const prev = Number(userData?.currentStreak) || 0;
+  if (!dayDone && prev > 0 && balance > 0) {
+    return {
+      currentStreak: prev,
+      bestStreak: Math.max(Number(userData.bestStreak) || 0, prev),
+      streakFreezes: balance - 1,
+      freezeUsed: true,
+      freezesEarned: 0,
+    };
+  }
+
+  const streaks = computeNewStreaks(dayDone, userData?.currentStreak, userData?.bestStreak);
+  let streakFreezes = balance;
+  if (dayDone && streaks.currentStreak % FREEZE_EARN_EVERY_DAYS === 0) {
+    const isPremium = userData?.subscription?.isActive === true;
+    const cap = isPremium ? PREMIUM_MAX_STREAK_FREEZES : MAX_STREAK_FREEZES;
+    streakFreezes = Math.max(Math.min(balance + (isPremium ? 2 : 1), cap), balance);
+  }
+  return {...streaks, streakFreezes, freezeUsed: false, freezesEarned: streakFreezes - balance};
+}
+
+/**
+ * Applies one finished day to the per-task streaks (users/{userId}.taskStreaks, keyed by task
+ * key, e.g. taskStreaks.hydration = { currentStreak, bestStreak }). Each task active that day
+ * in the catalog goes up when it was done and resets otherwise; tasks not active that day keep
+ * their streak. Streak freezes only protect the overall streak, not per-task streaks.
+ * @param {object|null} tasks - The day's task fields (key -> true when done); null for a day
+ *   without any activity
+ * @param {object} userData - users/{userId} data (taskStreaks)
+ * @param {{ tasks: object[] }} [catalog] - Task catalog (default: built-in tasks)
+ * @param {string|null} [dateYmd] - The processed day (YYYY-MM-DD)
+ * @returns {Object<string, { currentStreak: number, bestStreak: number }>} New taskStreaks map
+ */
+function applyTaskStreaksDay(tasks, userData, catalog = DEFAULT_TASK_CATALOG, dateYmd) {
+  const previous = userData?.taskStreaks && typeof userData.taskStreaks === "object" ? userData.taskStreaks : {};
+  const next = {...previous};
+  for (const task of getActiveTasks(catalog, dateYmd)) {
+    next[task.key] = computeNewStreaks(
+      tasks?.[task.key] === true,
+      previous[task.key]?.currentStreak,
+      previous[task.key]?.bestStreak,
+    );
+  }
+  return next;
+}
+
+/**
+ * Returns true if any per-task streak is running (currentStreak > 0).
+ * @param {object} userData - users/{userId} data (taskStreaks)
+ * @returns {boolean}
+ */
+function hasActiveTaskStreak(userData) {
+  return Object.values(userData?.taskStreaks || {}).some((streak) => (Number(streak?.currentStreak) || 0) > 0);
+}
+
+/**
+ * Recomputes currentStreak / bestStreak from archived days (daily_task_history records),
+ * replaying each day from the first archived date through throughDate with isDayDone and
+ * computeNewStreaks. Days without a record count as missed; a missed day listed in
+ * options.frozenDates (a streak freeze was used) keeps the streak instead of resetting it.
+ * @param {Array<{ date: string, tasks: object }>} days - Archived days
+ * @param {string} throughDate - Last finished day to count (YYYY-MM-DD)
+ * @param {{ frozenDates?: string[], catalog?: object }} [options] - catalog: task catalog for isDayDone
+ * @returns {{ currentStreak: number, bestStreak: number, currentStreakStartedAt: string|null,
+ *   fromDate: string|null, daysCounted: number }}
+ */
+function recomputeStreaksFromHistory(days, throughDate, options = {}) {
+  const doneByDate = new Map();
+  for (const day of days || []) {
+    if (!day?.date || day.date > throughDate) continue;
+    doneByDate.set(day.date, isDayDone(day.tasks, options.catalog, day.date));
+  }
+  const frozen = new Set(options.frozenDates || []);
+  const fromDate = [...doneByDate.keys()].sort()[0] || null;
+
+  let streaks = {currentStreak: 0, bestStreak: 0};
+  let currentStreakStartedAt = null;
+  let daysCounted = 0;
+  for (let date = fromDate; date && date <= throughDate; date = getDayAfterYYYYMMDD(date)) {
+    daysCounted++;
+    const dayDone = doneByDate.get(date) === true;
+    if (!dayDone && streaks.currentStreak > 0 && frozen.has(date)) continue;
+    streaks = computeNewStreaks(dayDone, streaks.currentStreak, streaks.bestStreak);
+    if (streaks.currentStreak === 0) currentStreakStartedAt = null;
+    else if (streaks.currentStreak === 1) currentStreakStartedAt = date;
+  }
+  return {...streaks, currentStreakStartedAt, fromDate, daysCounted};
+}
+
 module.exports = {
   TASK_FIELDS,
+  DEFAULT_TASK_LABELS,
+  DEFAULT_TASK_CATALOG,
   DAILY_TASKS_COLLECTION,
   USERS_COLLECTION,
   DEFAULT_TIMEZONE,
   DEFAULT_OFFSET_MINUTES,
+  FREEZE_EARN_EVERY_DAYS,
+  MAX_STREAK_FREEZES,
+  PREMIUM_MAX_STREAK_FREEZES,
+  getTimeZoneOffsetMinutes,
   parseTimezoneToOffsetMinutes,
   getLocalTimeForOffset,
   getTodayYMDForOffset,
   getTodayYMD,
   getYesterdayYMD,
   getDayAfterYYYYMMDD,
+  getDayBeforeYYYYMMDD,
+  getYesterdayYMDForOffset,
+  getLocalDayStartMs,
+  getNextStreakProcessAt,
   normalizeTaskDateToYYYYMMDD,
+  normalizeTaskCatalog,
+  getActiveTasks,
+  getCompletedAndRemaining,
   isDayDone,
   computeNewStreaks,
+  applyStreakDay,
+  applyTaskStreaksDay,
+  hasActiveTaskStreak,
+  recomputeStreaksFromHistory,
 };
@@ -1,38 +1,107 @@
 /**
  * Builds the subscription object for Firestore from a RevenueCat webhook event.
  * Matches the Flutter Subscription model: isActive, planType, subscribedAt,
- * expiresAt, isOnTrial, trialEndsAt, revenueCatUserId, lastCheckedAt.
+ * expiresAt, isOnTrial, trialEndsAt, revenueCatUserId, lastCheckedAt, plus
+ * status, willRenew and gracePeriodExpiresAt. Only an expired subscription
+ * (EXPIRATION, or a cancellation past expiresAt) has isActive false.
+ * Admin promo grants use planType "promo" with a promo object (reason,
+ * grantedBy, grantedAt, days, underlying). store and environment come from
+ * the event; SANDBOX subscriptions go to users/{id}.sandboxSubscription
+ * unless the user has isTester: true.
  */
 
 const TRIAL_DAYS_YEARLY = 3;
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
+/** Values of subscription.status. */
+const SUBSCRIPTION_STATUS = {
+  ACTIVE: "active",
+  CANCELLED_PENDING_EXPIRY: "cancelled_pending_expiry",
+  IN_GRACE_PERIOD: "in_grace_period",
+  BILLING_ISSUE: "billing_issue",
+  PAUSED: "paused",
+  EXPIRED: "expired",
+};
+
+/** planType of complimentary subscriptions granted by grantPromoPremiumApi. */
+const PROMO_PLAN_TYPE = "promo";
+
+/** User field for SANDBOX subscriptions of users who are not testers. */
+const SANDBOX_SUBSCRIPTION_FIELD = "sandboxSubscription";
+
+/** Default period length per plan type, used when the event has no expiration_at_ms. */
+const DEFAULT_DURATION_DAYS = {
+  weekly: 7,
+  monthly: 30,
+  yearly: 365,
+  lifetime: null,
+};
+
+/** Default app-side trial length per plan type when the catalog entry doesn't set trialDays. */
+const DEFAULT_TRIAL_DAYS = {
+  yearly: TRIAL_DAYS_YEARLY,
+};
+
+/**
+ * Normalizes a plan catalog entry ({ planType, trialDays?, durationDays? }).
+ * @param {object} entry - Catalog entry
+ * @returns {{ planType: string, trialDays: number, durationDays: number|null }|null}
+ */
+function normalizePlan(entry) {
+  if (!entry || !(entry.planType in DEFAULT_DURATION_DAYS)) return null;
+  const planType = entry.planType;
+  const trialDays = Number(entry.trialDays ?? DEFAULT_TRIAL_DAYS[planType] ?? 0) || 0;
+  const durationDays = planType === "lifetime" ?
+    null :
+    Number(entry.durationDays ?? DEFAULT_DURATION_DAYS[planType]) || null;
+  return {planType, trialDays, durationDays};
+}
+
 /**
- * Resolves plan type from RevenueCat product_id using configured product id lists.
- * @param {string} productId - RevenueCat product_id
- * @param {string[]} monthlyProductIds - Configured monthly product identifiers
- * @param {string[]} yearlyProductIds - Configured yearly product identifiers
- * @returns {'monthly'|'yearly'|null}
+ * Resolves the plan for a RevenueCat event from the plan catalog (see config.getPlanCatalog):
+ * product id first (new_product_id for PRODUCT_CHANGE), then the event's entitlement_ids.
+ * @param {object} event - RevenueCat webhook event
+ * @param {{ products: object, entitlements: object }} catalog - Plan catalog
+ * @returns {{ planType: string, trialDays: number, durationDays: number|null }|null}
  */
-function getPlanType(productId, monthlyProductIds, yearlyProductIds) {
-  if (!productId) return null;
-  const monthly = (monthlyProductIds || []).map((id) => id.trim()).filter(Boolean);
-  const yearly = (yearlyProductIds || []).map((id) => id.trim()).filter(Boolean);
-  if (monthly.includes(productId)) return "monthly";
-  if (yearly.includes(productId)) return "yearly";
+function resolvePlan(event, catalog) {
+  const products = catalog?.products || {};
+  const entitlements = catalog?.entitlements || {};
+  const productId =
+    (event.type === "PRODUCT_CHANGE" && event.new_product_id) ?
+      event.new_product_id :
+      (event.product_id || "");
+
+  if (productId && products[productId]) {
+    return normalizePlan(products[productId]);
+  }
+
+  const entitlementIds = Array.isArray(event.entitlement_ids) ?
+    event.entitlement_ids :
+    (event.entitlement_id ? [event.entitlement_id] : []);
+  for (const entitlementId of entitlementIds) {
+    if (entitlements[entitlementId]) return normalizePlan(entitlements[entitlementId]);
+  }
   return null;
 }
 
 /**
  * Builds Firestore subscription payload for active subscriptions.
- * For yearly plan INITIAL_PURCHASE without store trial, applies 3-day trial.
+ * Without a store trial, plans with trialDays (yearly: 3 by default) get an app-side trial
+ * from the purchase date. Lifetime plans never expire; plans without expiration_at_ms
+ * (non-renewing purchases) expire durationDays after purchase.
  * @param {object} event - RevenueCat webhook event object
- * @param {string} planType - 'monthly' or 'yearly'
+ * @param {{ planType: string, trialDays: number, durationDays: number|null }|null} plan - From resolvePlan
  * @returns {object} Subscription object for Firestore (toJson shape)
  */
-function buildActiveSubscription(event, planType) {
+function buildActiveSubscription(event, plan) {
+  const planType = plan?.planType || null;
+  const isLifetime = planType === "lifetime";
   const purchasedAtMs = event.purchased_at_ms ?? event.event_timestamp_ms;
-  const expirationAtMs = event.expiration_at_ms;
+  let expirationAtMs = isLifetime ? null : event.expiration_at_ms;
+  if (!expirationAtMs && !isLifetime && plan?.durationDays && purchasedAtMs) {
+    expirationAtMs = purchasedAtMs + plan.durationDays * MS_PER_DAY;
+  }
   const periodType = event.period_type || "";
   const isStoreTrial = periodType === "TRIAL";
 
@@ -44,9 +113,9 @@ function buildActiveSubscription(event, planType) {
 
   if (isStoreTrial && expirationAtMs) {
     trialEndsAt = new Date(expirationAtMs).toISOString();
-  } else if (planType === "yearly" && !isStoreTrial && purchasedAtMs) {
+  } else if (plan?.trialDays > 0 && !isStoreTrial && purchasedAtMs) {
     isOnTrial = true;
-    trialEndsAt = new Date(purchasedAtMs + TRIAL_DAYS_YEARLY * MS_PER_DAY).toISOString();
+    trialEndsAt = new Date(purchasedAtMs + plan.trialDays * MS_PER_DAY).toISOString();
   }
 
   const lastCheckedAt = event.event_timestamp_ms ?
@@ -57,38 +126,318 @@ function buildActiveSubscription(event, planType) {
 
   return {
     isActive: true,
-    planType: planType || null,
+    status: SUBSCRIPTION_STATUS.ACTIVE,
+    willRenew: event.type !== "NON_RENEWING_PURCHASE" && !isLifetime,
+    planType,
     subscribedAt,
     expiresAt,
     isOnTrial,
     trialEndsAt,
+    gracePeriodExpiresAt: null,
+    store: event.store || null,
+    environment: event.environment || null,
     revenueCatUserId,
     lastCheckedAt,
   };
 }
 
 /**
- * Returns subscription payload for Firestore from a RevenueCat event, or null for cancel/expire.
+ * Builds the subscription payload for events that change the state of an existing
+ * subscription without granting a new period (cancel, billing issue, pause, expire).
+ * Starts from the stored subscription (the RevenueCat one under an active promo) and only
+ * changes status, willRenew, gracePeriodExpiresAt and lastCheckedAt; the plan, trial and
+ * dates stay as they are. Access is kept until expiresAt; only expiry removes it.
+ * Without a stored subscription the payload is built from the event.
+ * @param {object} event - RevenueCat webhook event object
+ * @param {object|null} plan - From resolvePlan, or null if the product is unknown
+ * @param {object|null} [previous] - Current users/{id}.subscription
+ * @returns {object} Subscription object for Firestore (toJson shape)
+ */
+function buildSubscriptionState(event, plan, previous = null) {
+  const nowMs = event.event_timestamp_ms || Date.now();
+  const stored = previous?.planType === PROMO_PLAN_TYPE ? previous.promo?.underlying || null : previous;
+  let base;
+  if (stored) {
+    base = {
+      ...stored,
+      lastCheckedAt: event.event_timestamp_ms ? new Date(event.event_timestamp_ms).toISOString() : stored.lastCheckedAt,
+    };
+  } else {
+    base = buildActiveSubscription(event, plan);
+    base.isOnTrial = base.isOnTrial && !!base.trialEndsAt && Date.parse(base.trialEndsAt) > nowMs;
+  }
+  const expirationAtMs = event.expiration_at_ms || (base.expiresAt ? Date.parse(base.expiresAt) : null);
+  const notExpired = !expirationAtMs || expirationAtMs > nowMs;
+
+  const expired = {
+    ...base,
+    isActive: false,
+    status: SUBSCRIPTION_STATUS.EXPIRED,
+    willRenew: false,
+    isOnTrial: false,
+  };
+
+  switch (event.type) {
+  case "CANCELLATION":
+    if (!notExpired) return expired;
+    return {...base, status: SUBSCRIPTION_STATUS.CANCELLED_PENDING_EXPIRY, willRenew: false};
+
+  case "BILLING_ISSUE": {
+    if (!notExpired) return {...expired, status: SUBSCRIPTION_STATUS.BILLING_ISSUE};
+    const graceMs = event.grace_period_expiration_at_ms;
+    if (graceMs && graceMs > nowMs) {
+      return {
+        ...base,
+        status: SUBSCRIPTION_STATUS.IN_GRACE_PERIOD,
+        gracePeriodExpiresAt: new Date(graceMs).toISOString(),
+      };
+    }
+    // The store keeps retrying the charge: access stays until expiresAt
+    return {...base, status: SUBSCRIPTION_STATUS.BILLING_ISSUE};
+  }
+
+  case "SUBSCRIPTION_PAUSED":
+    return {...base, isActive: notExpired, status: SUBSCRIPTION_STATUS.PAUSED, willRenew: false};
+
+  case "EXPIRATION":
+  default:
+    return expired;
+  }
+}
+
+/**
+ * Returns the users/{id} field an event's subscription is written to: SANDBOX events only
+ * reach "subscription" (and grant real premium) for users flagged with isTester: true.
+ * @param {object} event - RevenueCat webhook event
+ * @param {object|null|undefined} userData - users/{id} data
+ * @returns {string} "subscription" or "sandboxSubscription"
+ */
+function getSubscriptionField(event, userData) {
+  return event?.environment === "SANDBOX" && userData?.isTester !== true ?
+    SANDBOX_SUBSCRIPTION_FIELD :
+    "subscription";
+}
+
+/** Time after expiresAt we wait for a late RENEWAL webhook before expiring an auto-renewing subscription. */
+const RENEWAL_LEEWAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Moves a stored subscription to the state it should be in at nowMs, for when the
+ * matching webhook never arrives: ends app-side trials past trialEndsAt, ends grace
+ * periods past gracePeriodExpiresAt, and expires subscriptions past expiresAt.
+ * lastCheckedAt is left untouched so later RevenueCat events still apply.
+ * @param {object|null} subscription - Current users/{id}.subscription
+ * @param {number} [nowMs] - Current time in ms (default: Date.now())
+ * @returns {{ subscription: object, changes: string[] }|null} Updated subscription, or null if nothing changed
+ */
+function reconcileSubscription(subscription, nowMs = Date.now()) {
+  if (!subscription || typeof subscription !== "object") return null;
+  const next = {...subscription};
+  const changes = [];
+  const isPast = (iso, leewayMs = 0) => !!iso && Date.parse(iso) + leewayMs <= nowMs;
+
+  if (next.isOnTrial === true && isPast(next.trialEndsAt)) {
+    next.isOnTrial = false;
+    changes.push("trial_ended");
+  }
+
+  if (next.status === SUBSCRIPTION_STATUS.IN_GRACE_PERIOD && isPast(next.gracePeriodExpiresAt)) {
+    next.isActive = false;
+    next.status = SUBSCRIPTION_STATUS.BILLING_ISSUE;
+    next.isOnTrial = false;
+    changes.push("grace_period_ended");
+  }
+
+  const leewayMs = next.willRenew === true ? RENEWAL_LEEWAY_MS : 0;
+  if (next.isActive === true && isPast(next.expiresAt, leewayMs)) {
+    // An ended comp hands back to the RevenueCat subscription it was covering
+    if (next.planType === PROMO_PLAN_TYPE && next.promo?.underlying) {
+      const underlying = next.promo.underlying;
+      const restored = reconcileSubscription(underlying, nowMs)?.subscription || underlying;
+      return {
+        subscription: {...restored, lastCheckedAt: next.lastCheckedAt ?? restored.lastCheckedAt ?? null},
+        changes: [...changes, "promo_ended"],
+      };
+    }
+    next.isActive = false;
+    next.status = SUBSCRIPTION_STATUS.EXPIRED;
+    next.willRenew = false;
+    next.isOnTrial = false;
+    changes.push("expired");
+  }
+
+  return changes.length > 0 ? {subscription: next, changes} : null;
+}
+
+/**
+ * Orders subscriptions by how much access they give: active first, then
+ * never-expiring (lifetime), then the latest expiresAt.
+ * @param {object} a - Subscription object
+ * @param {object} b - Subscription object
+ * @returns {number} > 0 if a is better than b
+ */
+function compareSubscriptions(a, b) {
+  if (a.isActive !== b.isActive) return a.isActive ? 1 : -1;
+  if (!a.expiresAt || !b.expiresAt) return (a.expiresAt ? 0 : 1) - (b.expiresAt ? 0 : 1);
+  return Date.parse(a.expiresAt) - Date.parse(b.expiresAt);
+}
+
+/**
+ * Returns true if the subscription is a promo grant that has not expired yet.
+ * @param {object|null|undefined} subscription - users/{id}.subscription
+ * @param {number} [nowMs] - Current time in ms
+ * @returns {boolean}
+ */
+function isActivePromo(subscription, nowMs = Date.now()) {
+  return subscription?.planType === PROMO_PLAN_TYPE &&
+    subscription.isActive === true &&
+    !!subscription.expiresAt &&
+    Date.parse(subscription.expiresAt) > nowMs;
+}
+
+/**
+ * Builds a promo (complimentary) subscription of the given number of days. Granting on top
+ * of an active promo extends it from its current expiresAt. Any RevenueCat subscription the
+ * user has is kept in promo.underlying and restored when the promo ends; lastCheckedAt is
+ * carried over so later RevenueCat events are still ordered correctly.
+ * @param {object|null} previous - Current users/{id}.subscription
+ * @param {{ days: number, reason: string, grantedBy: string }} grant - Promo grant
+ * @param {number} [nowMs] - Current time in ms
+ * @returns {object} Subscription object
+ */
+function buildPromoSubscription(previous, grant, nowMs = Date.now()) {
+  const extending = isActivePromo(previous, nowMs);
+  const underlying = previous?.planType === PROMO_PLAN_TYPE ?
+    previous.promo?.underlying || null :
+    previous || null;
+  const startMs = extending ? Date.parse(previous.expiresAt) : nowMs;
+  const nowIso = new Date(nowMs).toISOString();
+
+  return {
+    isActive: true,
+    status: SUBSCRIPTION_STATUS.ACTIVE,
+    willRenew: false,
+    planType: PROMO_PLAN_TYPE,
+    subscribedAt: extending ? previous.subscribedAt : nowIso,
+    expiresAt: new Date(startMs + grant.days * MS_PER_DAY).toISOString(),
+    isOnTrial: false,
+    trialEndsAt: null,
+    gracePeriodExpiresAt: null,
+    revenueCatUserId: previous?.revenueCatUserId ?? null,
+    lastCheckedAt: previous?.lastCheckedAt ?? null,
+    promo: {
+      reason: grant.reason,
+      grantedBy: grant.grantedBy,
+      grantedAt: nowIso,
+      days: grant.days,
+      underlying,
+    },
+  };
+}
+
+/**
+ * Precedence between an active promo and a subscription coming from RevenueCat: the
+ * RevenueCat subscription replaces the promo only if it is active and lasts at least as
+ * long (or is lifetime). Otherwise the promo stays and the RevenueCat subscription is stored
+ * in promo.underlying, to be restored when the promo ends (see reconcileSubscription).
+ * @param {object|null} current - Current users/{id}.subscription
+ * @param {object|null} incoming - Subscription built from RevenueCat
+ * @param {number} [nowMs] - Current time in ms
+ * @returns {{ subscription: object|null, promoPreserved: boolean }}
+ */
+function applySubscriptionPrecedence(current, incoming, nowMs = Date.now()) {
+  if (!incoming || !isActivePromo(current, nowMs)) return {subscription: incoming, promoPreserved: false};
+
+  const outlastsPromo = incoming.isActive === true &&
+    (!incoming.expiresAt || Date.parse(incoming.expiresAt) >= Date.parse(current.expiresAt));
+  if (outlastsPromo) return {subscription: incoming, promoPreserved: false};
+
+  return {
+    subscription: {
+      ...current,
+      lastCheckedAt: incoming.lastCheckedAt ?? current.lastCheckedAt ?? null,
+      promo: {...current.promo, underlying: incoming},
+    },
+    promoPreserved: true,
+  };
+}
+
+/**
+ * Builds the subscriptions for a TRANSFER event: the best subscription among the source
+ * users moves to the recipients, and the sources are marked expired. Promos are not
+ * transferable: only the RevenueCat subscription under a promo moves, and the source keeps
+ * its promo.
+ * @param {Array<object|null>} sourceSubscriptions - Current subscriptions of the transferred_from users
+ * @param {object} event - RevenueCat TRANSFER event
+ * @returns {{ moved: object|null, grantTo: function(string): object, revoke: function(object): object }}
+ */
+function buildTransferSubscriptions(sourceSubscriptions, event) {
+  const lastCheckedAt = new Date(event.event_timestamp_ms || Date.now()).toISOString();
+  let moved = null;
+  for (const source of sourceSubscriptions) {
+    const sub = source?.planType === PROMO_PLAN_TYPE ? source.promo?.underlying : source;
+    if (sub && typeof sub === "object" && (!moved || compareSubscriptions(sub, moved) > 0)) moved = sub;
+  }
+
+  return {
+    moved,
+    grantTo: (appUserId) => ({...moved, revenueCatUserId: appUserId, lastCheckedAt}),
+    revoke: (previous) => previous.planType === PROMO_PLAN_TYPE ?
+      {...previous, lastCheckedAt, promo: {...previous.promo, underlying: null}} :
+      {
+        ...previous,
+        isActive: false,
+        status: SUBSCRIPTION_STATUS.EXPIRED,
+        willRenew: false,
+        isOnTrial: false,
+        lastCheckedAt,
+      },
+  };
+}
+
+/** Event types that grant or renew a subscription period. */
+const GRANT_EVENT_TYPES = [
+  "INITIAL_PURCHASE",
+  "RENEWAL",
+  "UNCANCELLATION",
+  "SUBSCRIPTION_EXTENDED",
+  "REFUND_REVERSED",
+  "PRODUCT_CHANGE",
+  "NON_RENEWING_PURCHASE",
+  "TEMPORARY_ENTITLEMENT_GRANT",
+];
+
+/**
+ * Returns subscription payload for Firestore from a RevenueCat event, or null when the
+ * event does not change the subscription (test events, unknown products, ...).
  * @param {object} event - RevenueCat webhook event (event object from body.event)
- * @param {object} config - { monthlyProductIds: string[], yearlyProductIds: string[] }
+ * @param {{ products: object, entitlements: object }} catalog - Plan catalog from config.getPlanCatalog
+ * @param {object|null} [previous] - Current users/{id}.subscription; state events (cancel, billing
+ *   issue, pause, expire) update it instead of rebuilding it from the event
  * @returns {object|null} Subscription object or null
  */
-function subscriptionFromEvent(event, config) {
+function subscriptionFromEvent(event, catalog, previous = null) {
   if (!event || !event.type) return null;
 
   const type = event.type;
-  const productId =
-    (type === "PRODUCT_CHANGE" && event.new_product_id) ?
-      event.new_product_id :
-      (event.product_id || "");
-  const monthlyIds = config.monthlyProductIds || [];
-  const yearlyIds = config.yearlyProductIds || [];
-  const planType = getPlanType(productId, monthlyIds, yearlyIds);
+  const plan = resolvePlan(event, catalog);
+
+  if (!plan && type !== "TEST" && (GRANT_EVENT_TYPES.includes(type) || event.product_id)) {
+    console.error("subscription: UNKNOWN PRODUCT - not in plan catalog (config/plan_catalog)", {
+      type,
+      product_id: event.product_id,
+      new_product_id: event.new_product_id,
+      entitlement_ids: event.entitlement_ids,
+      app_user_id: event.app_user_id,
+    });
+  }
 
   switch (type) {
   case "CANCELLATION":
+  case "BILLING_ISSUE":
+  case "SUBSCRIPTION_PAUSED":
   case "EXPIRATION":
-    return null;
+    return buildSubscriptionState(event, plan, previous);
 
   case "INITIAL_PURCHASE":
   case "RENEWAL":
@@ -96,20 +445,12 @@ function subscriptionFromEvent(event, config) {
   case "SUBSCRIPTION_EXTENDED":
   case "REFUND_REVERSED":
   case "PRODUCT_CHANGE":
-    if (!planType) return null;
-    return buildActiveSubscription(event, planType);
-
   case "NON_RENEWING_PURCHASE":
-    if (!planType) return null;
-    return buildActiveSubscription(event, planType);
-
   case "TEMPORARY_ENTITLEMENT_GRANT":
-    if (planType) return buildActiveSubscription(event, planType);
-    return null;
+    if (!plan) return null;
+    return buildActiveSubscription(event, plan);
 
   case "TEST":
-  case "BILLING_ISSUE":
-  case "SUBSCRIPTION_PAUSED":
   case "TRANSFER":
   case "INVOICE_ISSUANCE":
   case "VIRTUAL_CURRENCY_TRANSACTION":
@@ -120,7 +461,20 @@ function subscriptionFromEvent(event, config) {
 }
 
 module.exports = {
-  getPlanType,
+  SUBSCRIPTION_STATUS,
+  PROMO_PLAN_TYPE,
+  SANDBOX_SUBSCRIPTION_FIELD,
+  GRANT_EVENT_TYPES,
+  normalizePlan,
+  resolvePlan,
   buildActiveSubscription,
+  buildSubscriptionState,
+  getSubscriptionField,
+  reconcileSubscription,
+  compareSubscriptions,
+  isActivePromo,
+  buildPromoSubscription,
+  applySubscriptionPrecedence,
+  buildTransferSubscriptions,
   subscriptionFromEvent,
 };
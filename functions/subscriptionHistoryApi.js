@@ -0,0 +1,69 @@
+/**
+ * Subscription History API: admin HTTP endpoint that returns a user's
+ * subscription timeline from users/{docId}/subscription_history.
+ */
+
+const {onRequest} = require("firebase-functions/v2/https");
+const {getFirestore} = require("firebase-admin/firestore");
+const {isAdminRequest} = require("./requestAuth");
+const {findUserDoc} = require("./users");
+const {getSubscriptionHistory} = require("./subscriptions/history");
+
+const MAX_LIMIT = 500;
+
+const subscriptionHistoryApi = onRequest(
+  {
+    region: "us-central1",
+    invoker: "public",
+  },
+  async (req, res) => {
+    console.log("[subscriptionHistoryApi] Request received", {
+      method: req.method,
+      query: req.query,
+      timestamp: new Date().toISOString(),
+    });
+
+    if (req.method !== "GET") {
+      res.status(405).json({ok: false, error: "Method Not Allowed"});
+      return;
+    }
+
+    if (!isAdminRequest(req)) {
+      console.warn("[subscriptionHistoryApi] Unauthorized request");
+      res.status(401).json({ok: false, error: "Unauthorized"});
+      return;
+    }
+
+    const userId = (req.query.userId ?? req.query.user_id ?? "").toString().trim();
+    if (!userId) {
+      res.status(400).json({ok: false, error: "Missing userId. Use ?userId=<id>."});
+      return;
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_LIMIT);
+
+    try {
+      const userDoc = await findUserDoc(getFirestore(), userId);
+      if (!userDoc) {
+        res.status(404).json({ok: false, error: "User not found."});
+        return;
+      }
+
+      const history = await getSubscriptionHistory(userDoc.ref, limit);
+      res.status(200).json({
+        ok: true,
+        userId,
+        docId: userDoc.id,
+        subscription: userDoc.data().subscription ?? null,
+        history,
+      });
+    } catch (err) {
+      console.error("[subscriptionHistoryApi] Unexpected error", {
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ok: false, error: err.message || "Failed to read history."});
+    }
+  },
+);
+
+module.exports = {subscriptionHistoryApi};
@@ -0,0 +1,123 @@
+/**
+ * Subscription Store Report API: admin HTTP endpoint with per-store numbers.
+ * Counts users with an active subscription by subscription.store,
+ * and sums the revenue_daily byStore aggregates over a date range.
+ */
+
+const {onRequest} = require("firebase-functions/v2/https");
+const {getFirestore} = require("firebase-admin/firestore");
+const {isAdminRequest} = require("./requestAuth");
+const {USERS_COLLECTION} = require("./users");
+const {REVENUE_DAILY_COLLECTION} = require("./subscriptions/analytics");
+
+/** Stores RevenueCat sends in event.store. */
+const STORES = ["app_store", "mac_app_store", "play_store", "amazon", "stripe", "rc_billing", "promotional"];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const YMD_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Counts active subscriptions per store with count() aggregations. Subscriptions written
+ * before store was persisted and admin promos are reported as "unknown".
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<{ total: number, byStore: Object<string, number> }>}
+ */
+async function countActiveByStore(db) {
+  const active = db.collection(USERS_COLLECTION).where("subscription.isActive", "==", true);
+  const [totalSnap, ...storeSnaps] = await Promise.all([
+    active.count().get(),
+    ...STORES.map((store) => active.where("subscription.store", "==", store).count().get()),
+  ]);
+
+  const total = totalSnap.data().count;
+  const byStore = {};
+  let known = 0;
+  STORES.forEach((store, i) => {
+    const count = storeSnaps[i].data().count;
+    known += count;
+    if (count > 0) byStore[store] = count;
+  });
+  if (total > known) byStore.unknown = total - known;
+  return {total, byStore};
+}
+
+/**
+ * Sums revenue_daily byStore metrics for dates in [from, to] (YYYY-MM-DD, inclusive).
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} from - First date
+ * @param {string} to - Last date
+ * @returns {Promise<{ days: number, byStore: Object<string, object> }>}
+ */
+async function sumRevenueByStore(db, from, to) {
+  const snapshot = await db.collection(REVENUE_DAILY_COLLECTION)
+    .where("date", ">=", from)
+    .where("date", "<=", to)
+    .get();
+
+  const byStore = {};
+  for (const doc of snapshot.docs) {
+    for (const [store, metrics] of Object.entries(doc.data().byStore || {})) {
+      const totals = byStore[store] = byStore[store] || {};
+      for (const [name, value] of Object.entries(metrics || {})) {
+        if (typeof value === "number") totals[name] = (totals[name] || 0) + value;
+      }
+    }
+  }
+  return {days: snapshot.size, byStore};
+}
+
+const subscriptionStoreReportApi = onRequest(
+  {
+    region: "us-central1",
+    invoker: "public",
+  },
+  async (req, res) => {
+    console.log("[subscriptionStoreReportApi] Request received", {
+      method: req.method,
+      query: req.query,
+      timestamp: new Date().toISOString(),
+    });
+
+    if (req.method !== "GET") {
+      res.status(405).json({ok: false, error: "Method Not Allowed"});
+      return;
+    }
+
+    if (!isAdminRequest(req)) {
+      console.warn("[subscriptionStoreReportApi] Unauthorized request");
+      res.status(401).json({ok: false, error: "Unauthorized"});
+      return;
+    }
+
+    const nowMs = Date.now();
+    const to = (req.query.to ?? new Date(nowMs).toISOString().slice(0, 10)).toString();
+    const from = (req.query.from ??
+      new Date(nowMs - (DEFAULT_RANGE_DAYS - 1) * MS_PER_DAY).toISOString().slice(0, 10)).toString();
+    const rangeDays = (Date.parse(to) - Date.parse(from)) / MS_PER_DAY + 1;
+    if (!YMD_PATTERN.test(from) || !YMD_PATTERN.test(to) || !(rangeDays >= 1 && rangeDays <= MAX_RANGE_DAYS)) {
+      res.status(400).json({
+        ok: false,
+        error: `Use ?from=YYYY-MM-DD&to=YYYY-MM-DD (at most ${MAX_RANGE_DAYS} days).`,
+      });
+      return;
+    }
+
+    try {
+      const db = getFirestore();
+      const [active, revenue] = await Promise.all([
+        countActiveByStore(db),
+        sumRevenueByStore(db, from, to),
+      ]);
+      res.status(200).json({ok: true, from, to, active, revenue});
+    } catch (err) {
+      console.error("[subscriptionStoreReportApi] Unexpected error", {
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ok: false, error: err.message || "Failed to build report."});
+    }
+  },
+);
+
+module.exports = {subscriptionStoreReportApi};
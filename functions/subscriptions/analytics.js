@@ -0,0 +1,136 @@
+/**
+ * Revenue analytics from RevenueCat webhook payloads: captures price, currency,
+ * store, country and take-home per event (refunds as negative revenue) and rolls
+ * them up into revenue_daily/{YYYY-MM-DD} (UTC) by plan and store.
+ */
+
+const {FieldValue} = require("firebase-admin/firestore");
+
+const REVENUE_DAILY_COLLECTION = "revenue_daily";
+/** Event types that are actual charges; other types repeat the price of the charge they follow. */
+const REVENUE_EVENT_TYPES = ["INITIAL_PURCHASE", "RENEWAL", "NON_RENEWING_PURCHASE"];
+
+/**
+ * Converts a payload value to a finite number, or null when missing or not numeric.
+ * @param {*} value - Raw value from the event
+ * @returns {number|null}
+ */
+function toNumberOrNull(value) {
+  const n = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Returns true if the event is a refund. RevenueCat reports refunds as CANCELLATION with
+ * cancel_reason CUSTOMER_SUPPORT and a negative price.
+ * @param {object} event - RevenueCat webhook event
+ * @returns {boolean}
+ */
+function isRefundEvent(event) {
+  if (event.type !== "CANCELLATION") return false;
+  return event.cancel_reason === "CUSTOMER_SUPPORT" || toNumberOrNull(event.price) < 0;
+}
+
+/**
+ * Extracts revenue fields from an event. amount is in USD (RevenueCat's price) for charges
+ * (REVENUE_EVENT_TYPES), negative for refunds and 0 for every other type, so a charge is only
+ * counted once; netAmount applies takehome_percentage (store fees and taxes).
+ * @param {object} event - RevenueCat webhook event
+ * @returns {object} Revenue fields
+ */
+function extractRevenue(event) {
+  const price = toNumberOrNull(event.price);
+  const takehomePercentage = toNumberOrNull(event.takehome_percentage);
+  const isRefund = isRefundEvent(event);
+  let amount = 0;
+  if (isRefund) amount = -Math.abs(price ?? 0);
+  else if (REVENUE_EVENT_TYPES.includes(event.type)) amount = price ?? 0;
+  const netAmount = amount * (takehomePercentage ?? 1);
+
+  return {
+    price,
+    currency: event.currency || null,
+    priceInPurchasedCurrency: toNumberOrNull(event.price_in_purchased_currency),
+    store: event.store || null,
+    countryCode: event.country_code || null,
+    takehomePercentage,
+    environment: event.environment || null,
+    isRefund,
+    amount,
+    netAmount,
+  };
+}
+
+/**
+ * Returns the UTC YYYY-MM-DD of the event.
+ * @param {object} event - RevenueCat webhook event
+ * @returns {string}
+ */
+function getEventDateYmd(event) {
+  return new Date(event.event_timestamp_ms || Date.now()).toISOString().slice(0, 10);
+}
+
+/**
+ * Builds the increments for one event: gross/net revenue, refunds, new trials and
+ * trial conversions.
+ * @param {object} event - RevenueCat webhook event
+ * @param {object} revenue - From extractRevenue
+ * @param {object|null} subscription - Subscription built from the event (for app-side trials)
+ * @returns {object} Field name -> FieldValue.increment
+ */
+function buildMetrics(event, revenue, subscription) {
+  const isNewTrial = event.type === "INITIAL_PURCHASE" &&
+    (event.period_type === "TRIAL" || subscription?.isOnTrial === true);
+  const isConversion = event.type === "RENEWAL" && event.is_trial_conversion === true;
+
+  const metrics = {events: FieldValue.increment(1)};
+  if (revenue.amount !== 0) {
+    metrics.grossRevenue = FieldValue.increment(revenue.amount);
+    metrics.netRevenue = FieldValue.increment(revenue.netAmount);
+  }
+  if (revenue.isRefund) {
+    metrics.refunds = FieldValue.increment(1);
+    metrics.refundAmount = FieldValue.increment(Math.abs(revenue.amount));
+  }
+  if (isNewTrial) metrics.newTrials = FieldValue.increment(1);
+  if (isConversion) metrics.conversions = FieldValue.increment(1);
+  return metrics;
+}
+
+/**
+ * Adds the event to its daily aggregate inside the ledger transaction, so each event is
+ * counted exactly once. Sandbox events are not counted.
+ * @param {FirebaseFirestore.Transaction} tx - Transaction
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {object} event - RevenueCat webhook event
+ * @param {object} revenue - From extractRevenue
+ * @param {object|null} subscription - Subscription built from the event
+ * @returns {boolean} True if the aggregate was updated
+ */
+function recordDailyAggregate(tx, db, event, revenue, subscription) {
+  if (revenue.environment === "SANDBOX") return false;
+
+  const metrics = buildMetrics(event, revenue, subscription);
+  const plan = subscription?.planType || "unknown";
+  const store = revenue.store || "unknown";
+  const dateYmd = getEventDateYmd(event);
+
+  tx.set(db.collection(REVENUE_DAILY_COLLECTION).doc(dateYmd), {
+    date: dateYmd,
+    ...metrics,
+    byPlan: {[plan]: metrics},
+    byStore: {[store]: metrics},
+    updatedAt: new Date(),
+  }, {merge: true});
+  return true;
+}
+
+module.exports = {
+  REVENUE_DAILY_COLLECTION,
+  REVENUE_EVENT_TYPES,
+  isRefundEvent,
+  extractRevenue,
+  getEventDateYmd,
+  buildMetrics,
+  recordDailyAggregate,
+};
@@ -0,0 +1,74 @@
+/**
+ * Subscription history: every applied subscription change is appended to
+ * users/{docId}/subscription_history so support can see how a user moved
+ * between plans and states (trial -> yearly -> cancelled ...).
+ */
+
+const HISTORY_SUBCOLLECTION = "subscription_history";
+const DEFAULT_HISTORY_LIMIT = 100;
+
+/**
+ * Builds a normalized history record for a subscription transition.
+ * @param {object|null} previous - Subscription before the change
+ * @param {object|null} next - Subscription after the change
+ * @param {object} event - RevenueCat webhook event, or a synthetic { type, ... } for internal changes
+ * @returns {object} History record
+ */
+function buildHistoryRecord(previous, next, event) {
+  const eventMs = event.event_timestamp_ms || Date.now();
+  return {
+    eventId: event.id ? String(event.id) : null,
+    eventType: event.type || null,
+    store: event.store || null,
+    environment: event.environment || null,
+    productId: event.new_product_id || event.product_id || null,
+    previousPlan: previous?.planType ?? null,
+    newPlan: next?.planType ?? null,
+    previousStatus: previous?.status ?? null,
+    newStatus: next?.status ?? null,
+    price: typeof event.price === "number" ? event.price : null,
+    currency: event.currency || null,
+    eventTimestamp: new Date(eventMs).toISOString(),
+    subscribedAt: next?.subscribedAt ?? null,
+    expiresAt: next?.expiresAt ?? null,
+    recordedAt: new Date(),
+  };
+}
+
+/**
+ * Appends a history record inside a transaction or batch. Records with an eventId
+ * use it as document ID so replays overwrite instead of duplicating.
+ * @param {FirebaseFirestore.Transaction|FirebaseFirestore.WriteBatch} writer - Transaction or batch
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId}
+ * @param {object} record - From buildHistoryRecord
+ */
+function appendHistory(writer, userRef, record) {
+  const coll = userRef.collection(HISTORY_SUBCOLLECTION);
+  const ref = record.eventId ? coll.doc(record.eventId) : coll.doc();
+  writer.set(ref, record);
+}
+
+/**
+ * Reads a user's subscription timeline, newest first.
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{docId}
+ * @param {number} [limit] - Max records (default 100)
+ * @returns {Promise<object[]>}
+ */
+async function getSubscriptionHistory(userRef, limit = DEFAULT_HISTORY_LIMIT) {
+  const snapshot = await userRef.collection(HISTORY_SUBCOLLECTION)
+    .orderBy("eventTimestamp", "desc")
+    .limit(limit)
+    .get();
+  return snapshot.docs.map((doc) => {
+    const data = doc.data();
+    const recordedAt = data.recordedAt?.toDate ? data.recordedAt.toDate().toISOString() : data.recordedAt;
+    return {id: doc.id, ...data, recordedAt};
+  });
+}
+
+module.exports = {
+  HISTORY_SUBCOLLECTION,
+  buildHistoryRecord,
+  appendHistory,
+  getSubscriptionHistory,
+};
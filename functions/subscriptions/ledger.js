@@ -0,0 +1,81 @@
+/**
+ * RevenueCat event ledger: every webhook event is stored by event.id in the
+ * revenuecat_events collection. The ledger write and the user updates happen in
+ * one transaction, so a retried delivery finds the ledger entry and is
+ * acknowledged without writing anything. Entries with outcome "parked" are the
+ * exception: those events wait for their user and may be processed again.
+ */
+
+const LEDGER_COLLECTION = "revenuecat_events";
+
+/**
+ * Returns the event timestamp in ms, or null when missing/invalid.
+ * @param {object} event - RevenueCat webhook event
+ * @returns {number|null}
+ */
+function getEventTimestampMs(event) {
+  const ms = Number(event?.event_timestamp_ms);
+  return Number.isFinite(ms) && ms > 0 ? ms : null;
+}
+
+/**
+ * Returns true if the event is older than the last event applied to the subscription
+ * (subscription.lastCheckedAt), i.e. it arrived out of order and must not be applied.
+ * @param {object} event - RevenueCat webhook event
+ * @param {object|null|undefined} subscription - Current users/{id}.subscription
+ * @returns {boolean}
+ */
+function isStaleEvent(event, subscription) {
+  const eventMs = getEventTimestampMs(event);
+  const lastCheckedMs = subscription?.lastCheckedAt ? Date.parse(subscription.lastCheckedAt) : NaN;
+  if (eventMs === null || Number.isNaN(lastCheckedMs)) return false;
+  return eventMs < lastCheckedMs;
+}
+
+/**
+ * Records the event in the ledger and applies it to the given users in a single
+ * transaction. If the event was already recorded (and not parked), nothing is written.
+ * applyToUsers receives the transaction, the user snapshots (all reads are done
+ * before it is called, so it must only write) and { replay } (true when a parked
+ * event is processed again), and returns a summary that is stored on the ledger
+ * entry, e.g. { outcome: "applied", applied: [...], stale: [...] }.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {object} event - RevenueCat webhook event (must have event.id)
+ * @param {FirebaseFirestore.DocumentReference[]} userRefs - User documents the event applies to
+ * @param {function(FirebaseFirestore.Transaction, FirebaseFirestore.DocumentSnapshot[], object): object} applyToUsers
+ * @returns {Promise<{ duplicate: boolean, summary: object|null }>}
+ */
+async function recordEvent(db, event, userRefs, applyToUsers) {
+  const ledgerRef = db.collection(LEDGER_COLLECTION).doc(String(event.id));
+
+  return db.runTransaction(async (tx) => {
+    const ledgerSnap = await tx.get(ledgerRef);
+    // Parked events (no user yet) are re-processed when replayed or redelivered
+    if (ledgerSnap.exists && ledgerSnap.data().outcome !== "parked") {
+      return {duplicate: true, summary: null};
+    }
+
+    const userSnaps = userRefs.length > 0 ? await tx.getAll(...userRefs) : [];
+    const summary = applyToUsers(tx, userSnaps, {replay: ledgerSnap.exists}) || {};
+
+    tx.set(ledgerRef, {
+      eventId: String(event.id),
+      type: event.type || null,
+      appUserId: event.app_user_id || event.original_app_user_id || null,
+      eventTimestampMs: getEventTimestampMs(event),
+      receivedAt: new Date(),
+      userDocIds: userRefs.map((ref) => ref.id),
+      ...summary,
+      event,
+    });
+
+    return {duplicate: false, summary};
+  });
+}
+
+module.exports = {
+  LEDGER_COLLECTION,
+  getEventTimestampMs,
+  isStaleEvent,
+  recordEvent,
+};
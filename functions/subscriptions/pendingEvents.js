@@ -0,0 +1,107 @@
+/**
+ * Pending (dead-letter) RevenueCat events: events whose app user ID has no user
+ * document yet (typically guest purchases right before userSetupApi runs), and
+ * purchases of products missing from the plan catalog, are parked in
+ * pending_revenuecat_events/{appUserId}/events/{eventId} until a matching user
+ * appears or they are retried (see subscriptions/replay.js).
+ */
+
+/** Why an event was parked. */
+const PARK_REASONS = {
+  NO_USER: "no_user",
+  UNKNOWN_PLAN: "unknown_plan",
+};
+
+const PENDING_COLLECTION = "pending_revenuecat_events";
+const PENDING_EVENTS_SUBCOLLECTION = "events";
+
+/**
+ * Returns the pending parent doc for an app user ID ("/" is not allowed in doc IDs).
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} appUserId - RevenueCat app user ID
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+function pendingUserRef(db, appUserId) {
+  return db.collection(PENDING_COLLECTION).doc(encodeURIComponent(appUserId));
+}
+
+/**
+ * Returns the pending doc for one event of an app user ID.
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+function pendingEventRef(db, appUserId, eventId) {
+  return pendingUserRef(db, appUserId).collection(PENDING_EVENTS_SUBCOLLECTION).doc(String(eventId));
+}
+
+/**
+ * Parks an event for an app user ID inside a transaction. Parking the same event twice
+ * overwrites the first copy.
+ * @param {FirebaseFirestore.Transaction} tx - Transaction
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} appUserId - RevenueCat app user ID with no user document
+ * @param {object} event - RevenueCat webhook event
+ * @param {string} [reason] - One of PARK_REASONS (default: no_user)
+ */
+function parkEvent(tx, db, appUserId, event, reason = PARK_REASONS.NO_USER) {
+  const parkedAt = new Date();
+  tx.set(pendingUserRef(db, appUserId), {appUserId, lastParkedAt: parkedAt}, {merge: true});
+  tx.set(pendingEventRef(db, appUserId, event.id), {
+    eventId: String(event.id),
+    type: event.type || null,
+    eventTimestampMs: event.event_timestamp_ms || null,
+    parkedAt,
+    reason,
+    attempts: 0,
+    lastError: null,
+    event,
+  });
+}
+
+/**
+ * Returns the parked event docs for an app user ID, oldest event first.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} appUserId - RevenueCat app user ID
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot[]>}
+ */
+async function getPendingEvents(db, appUserId) {
+  const snapshot = await pendingUserRef(db, appUserId).collection(PENDING_EVENTS_SUBCOLLECTION).get();
+  return snapshot.docs.sort((a, b) => (a.data().eventTimestampMs || 0) - (b.data().eventTimestampMs || 0));
+}
+
+/**
+ * Lists app user IDs with parked events, most recently parked first.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {number} limit - Max app user IDs
+ * @returns {Promise<Array<{ appUserId: string, lastParkedAt: string|null, events: object[] }>>}
+ */
+async function listPendingUsers(db, limit) {
+  const snapshot = await db.collection(PENDING_COLLECTION)
+    .orderBy("lastParkedAt", "desc")
+    .limit(limit)
+    .get();
+
+  const result = [];
+  for (const doc of snapshot.docs) {
+    const {appUserId, lastParkedAt} = doc.data();
+    const events = await getPendingEvents(db, appUserId);
+    result.push({
+      appUserId,
+      lastParkedAt: lastParkedAt?.toDate ? lastParkedAt.toDate().toISOString() : null,
+      events: events.map((eventDoc) => {
+        const {eventId, type, eventTimestampMs, reason, attempts, lastError} = eventDoc.data();
+        return {eventId, type, eventTimestampMs, reason: reason ?? PARK_REASONS.NO_USER, attempts, lastError};
+      }),
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  PENDING_COLLECTION,
+  PARK_REASONS,
+  pendingUserRef,
+  pendingEventRef,
+  parkEvent,
+  getPendingEvents,
+  listPendingUsers,
+};
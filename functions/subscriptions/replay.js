@@ -0,0 +1,63 @@
+/**
+ * Replays parked RevenueCat events (subscriptions/pendingEvents.js) once their
+ * user exists: when a user document is created, when migrateUser moves an ID,
+ * or on demand from pendingRevenueCatEventsApi.
+ */
+
+const {FieldValue} = require("firebase-admin/firestore");
+const {processEvent} = require("../revenueCatWebhook");
+const {getPendingEvents, pendingUserRef} = require("./pendingEvents");
+
+/**
+ * Replays every parked event of an app user ID, oldest first, against the user whose
+ * "id" field is targetUserId. Events that still find no user stay parked.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} appUserId - App user ID the events are parked under
+ * @param {string} [targetUserId] - App user ID to apply them to (default: appUserId)
+ * @returns {Promise<{ replayed: number, remaining: number, results: object[] }>}
+ */
+async function replayPendingEvents(db, appUserId, targetUserId = appUserId) {
+  const pending = await getPendingEvents(db, appUserId);
+  if (pending.length === 0) return {replayed: 0, remaining: 0, results: []};
+
+  console.log("replayPendingEvents: replaying parked events", {appUserId, targetUserId, count: pending.length});
+
+  const results = [];
+  let remaining = 0;
+  for (const doc of pending) {
+    const {event} = doc.data();
+    try {
+      const {duplicate, summary} = await processEvent(db, event, {
+        userIds: [targetUserId],
+        pendingAppUserId: appUserId,
+      });
+      if (duplicate) {
+        // Already applied through another path; the parked copy is obsolete
+        await doc.ref.delete();
+        results.push({eventId: doc.id, outcome: "duplicate"});
+        continue;
+      }
+      if (summary.outcome === "parked") remaining++;
+      results.push({eventId: doc.id, outcome: summary.outcome});
+    } catch (err) {
+      console.error("replayPendingEvents: replay failed", {appUserId, eventId: doc.id, error: err.message});
+      await doc.ref.update({
+        attempts: FieldValue.increment(1),
+        lastError: err.message || String(err),
+        lastAttemptAt: new Date(),
+      });
+      remaining++;
+      results.push({eventId: doc.id, outcome: "error", error: err.message});
+    }
+  }
+
+  if (remaining === 0) {
+    await pendingUserRef(db, appUserId).delete();
+  }
+
+  const replayed = pending.length - remaining;
+  console.log("replayPendingEvents: done", {appUserId, targetUserId, replayed, remaining});
+  return {replayed, remaining, results};
+}
+
+module.exports = {replayPendingEvents};
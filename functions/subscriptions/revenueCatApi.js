@@ -0,0 +1,150 @@
+/**
+ * RevenueCat REST API client: fetches a subscriber (GET /subscribers/{app_user_id})
+ * and rebuilds the Firestore subscription from it by turning each purchase into a
+ * synthetic webhook event and running it through subscription.js.
+ */
+
+const {getRevenueCatApiConfig} = require("../config");
+const {
+  subscriptionFromEvent,
+  reconcileSubscription,
+  compareSubscriptions,
+  getSubscriptionField,
+} = require("../subscription");
+
+/**
+ * Fetches a subscriber from the RevenueCat REST API.
+ * @param {string} appUserId - RevenueCat app user ID
+ * @returns {Promise<object>} The "subscriber" object of the response
+ */
+async function fetchSubscriber(appUserId) {
+  const {baseUrl, apiKey} = getRevenueCatApiConfig();
+  if (!apiKey) throw new Error("REVENUECAT_API_KEY is not configured");
+
+  const url = `${baseUrl}/subscribers/${encodeURIComponent(appUserId)}`;
+  const response = await fetch(url, {
+    headers: {
+      "Authorization": `Bearer ${apiKey}`,
+      "Accept": "application/json",
+    },
+  });
+  if (!response.ok) {
+    throw new Error(`RevenueCat API ${response.status} for subscriber ${appUserId}`);
+  }
+  const body = await response.json();
+  return body.subscriber || {};
+}
+
+function parseDateMs(value) {
+  const ms = value ? Date.parse(value) : NaN;
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Returns the latest change RevenueCat reports for a purchase: the purchase, unsubscribe
+ * or billing issue time, or the expiry once it has passed. A future expiry is not a change
+ * yet, so stamping it would make every webhook until then look out of order.
+ * @param {object} sub - Entry of subscriber.subscriptions or subscriber.non_subscriptions
+ * @param {number} nowMs - Current time in ms
+ * @returns {number|null} Timestamp in ms, or null if the response has none
+ */
+function getLatestChangeMs(sub, nowMs) {
+  const expiresMs = parseDateMs(sub.expires_date);
+  const candidates = [
+    parseDateMs(sub.purchase_date),
+    parseDateMs(sub.unsubscribe_detected_at),
+    parseDateMs(sub.billing_issues_detected_at),
+    expiresMs && expiresMs <= nowMs ? expiresMs : null,
+  ].filter((ms) => ms !== null && ms <= nowMs);
+  return candidates.length > 0 ? Math.max(...candidates) : null;
+}
+
+/**
+ * Builds a synthetic webhook event for one entry of subscriber.subscriptions, timestamped
+ * with the latest change in the response (see getLatestChangeMs).
+ * @returns {object} RevenueCat-like event
+ */
+function eventFromSubscription(productId, sub, appUserId, entitlementIds, nowMs) {
+  const expiresMs = parseDateMs(sub.expires_date);
+  const graceMs = parseDateMs(sub.grace_period_expires_date);
+
+  let type = "RENEWAL";
+  if (sub.billing_issues_detected_at && graceMs && graceMs > nowMs) type = "BILLING_ISSUE";
+  else if (expiresMs && expiresMs <= nowMs) type = "EXPIRATION";
+  else if (sub.unsubscribe_detected_at) type = "CANCELLATION";
+
+  return {
+    type,
+    app_user_id: appUserId,
+    product_id: productId,
+    entitlement_ids: entitlementIds,
+    period_type: (sub.period_type || "normal").toUpperCase(),
+    purchased_at_ms: parseDateMs(sub.purchase_date),
+    expiration_at_ms: expiresMs,
+    grace_period_expiration_at_ms: graceMs,
+    event_timestamp_ms: getLatestChangeMs(sub, nowMs),
+    store: sub.store || null,
+    environment: sub.is_sandbox ? "SANDBOX" : "PRODUCTION",
+  };
+}
+
+/**
+ * Rebuilds the Firestore subscriptions for a RevenueCat subscriber. Every subscription and
+ * non-renewing purchase becomes a synthetic event, routed to a users/{id} field the way the
+ * webhook routes it (getSubscriptionField: sandbox purchases of non-testers go to
+ * sandboxSubscription); per field the best resulting subscription wins (active over
+ * inactive, then never-expiring, then latest expiresAt).
+ * @param {object} subscriber - From fetchSubscriber
+ * @param {string} appUserId - RevenueCat app user ID
+ * @param {{ products: object, entitlements: object }} catalog - Plan catalog
+ * @param {object|null} userData - users/{id} data (isTester)
+ * @param {number} [nowMs] - Current time in ms (default: Date.now())
+ * @returns {Object<string, { subscription: object, event: object }>} Best subscription and the
+ *   event it was built from, keyed by field; empty if the subscriber has no known purchases
+ */
+function subscriptionsFromSubscriber(subscriber, appUserId, catalog, userData, nowMs = Date.now()) {
+  const entitlementsByProduct = {};
+  for (const [entitlementId, entitlement] of Object.entries(subscriber.entitlements || {})) {
+    const productId = entitlement.product_identifier;
+    if (!productId) continue;
+    (entitlementsByProduct[productId] = entitlementsByProduct[productId] || []).push(entitlementId);
+  }
+
+  const events = [];
+  for (const [productId, sub] of Object.entries(subscriber.subscriptions || {})) {
+    if (sub.refunded_at) continue;
+    events.push(eventFromSubscription(productId, sub, appUserId, entitlementsByProduct[productId] || [], nowMs));
+  }
+  for (const [productId, purchases] of Object.entries(subscriber.non_subscriptions || {})) {
+    for (const purchase of purchases || []) {
+      events.push({
+        type: "NON_RENEWING_PURCHASE",
+        app_user_id: appUserId,
+        product_id: productId,
+        entitlement_ids: entitlementsByProduct[productId] || [],
+        purchased_at_ms: parseDateMs(purchase.purchase_date),
+        event_timestamp_ms: getLatestChangeMs(purchase, nowMs),
+        store: purchase.store || null,
+        environment: purchase.is_sandbox ? "SANDBOX" : "PRODUCTION",
+      });
+    }
+  }
+
+  const best = {};
+  for (const event of events) {
+    const built = subscriptionFromEvent(event, catalog);
+    if (!built) continue;
+    // Non-renewing purchases past their duration are still built as active
+    const candidate = reconcileSubscription(built, nowMs)?.subscription || built;
+    const field = getSubscriptionField(event, userData);
+    if (!best[field] || compareSubscriptions(candidate, best[field].subscription) > 0) {
+      best[field] = {subscription: candidate, event};
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  fetchSubscriber,
+  subscriptionsFromSubscriber,
+};
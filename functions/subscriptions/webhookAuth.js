@@ -0,0 +1,111 @@
+/**
+ * RevenueCat webhook authentication: constant-time check of the Authorization
+ * header against every configured secret (for rotation), and recording of
+ * rejected attempts with rate-limited logging.
+ */
+
+const {FieldValue} = require("firebase-admin/firestore");
+const {timingSafeEqualStrings} = require("../requestAuth");
+
+const AUTH_FAILURES_COLLECTION = "webhook_auth_failures";
+const AUTH_FAILURE_WINDOW_MS = 60 * 1000;
+/** Max rejected attempts logged (and written) per window per instance; the rest are only counted. */
+const AUTH_FAILURE_LOG_LIMIT = 5;
+
+const authFailureWindow = {startedAt: 0, count: 0, suppressed: 0};
+
+/**
+ * Extracts the secret from an Authorization header: "Bearer <secret>", or "Basic <base64>"
+ * where the secret is the password part (or the whole value if there is no ":").
+ * @param {string} authHeader - Request Authorization header
+ * @returns {string} Secret, or empty string
+ */
+function extractSecret(authHeader) {
+  const trimmed = (authHeader || "").trim();
+  if (trimmed.startsWith("Bearer ")) {
+    return trimmed.slice(7).trim();
+  }
+  if (trimmed.toLowerCase().startsWith("basic ")) {
+    const decoded = Buffer.from(trimmed.slice(6).trim(), "base64").toString("utf8");
+    const parts = decoded.split(":");
+    return parts.length > 1 ? parts.slice(1).join(":") : parts[0];
+  }
+  return "";
+}
+
+/**
+ * Validates RevenueCat webhook Authorization header (Bearer or Basic with shared secret)
+ * against every accepted secret in constant time.
+ * @param {string} authHeader - Request Authorization header
+ * @param {string|string[]} expectedSecrets - Configured secret(s)
+ * @returns {boolean}
+ */
+function validateAuth(authHeader, expectedSecrets) {
+  const secrets = (Array.isArray(expectedSecrets) ? expectedSecrets : [expectedSecrets])
+    .map((s) => String(s ?? "").trim())
+    .filter(Boolean);
+  if (secrets.length === 0 || !authHeader) return false;
+
+  const provided = extractSecret(authHeader);
+  if (!provided) return false;
+
+  // Compare against all secrets so timing doesn't reveal which one matched
+  let valid = false;
+  for (const secret of secrets) {
+    if (timingSafeEqualStrings(provided, secret)) valid = true;
+  }
+  return valid;
+}
+
+/**
+ * Records a rejected webhook request: counted per UTC hour in webhook_auth_failures.
+ * Only the first AUTH_FAILURE_LOG_LIMIT rejections per minute are logged and written;
+ * the others are added to the count with the next write.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {object} req - HTTP request
+ * @param {string} reason - Why the request was rejected
+ * @returns {Promise<void>}
+ */
+async function recordAuthFailure(db, req, reason) {
+  const nowMs = Date.now();
+  let carried = 0;
+  if (nowMs - authFailureWindow.startedAt >= AUTH_FAILURE_WINDOW_MS) {
+    carried = authFailureWindow.suppressed;
+    authFailureWindow.startedAt = nowMs;
+    authFailureWindow.count = 0;
+    authFailureWindow.suppressed = 0;
+  }
+
+  authFailureWindow.count++;
+  if (authFailureWindow.count > AUTH_FAILURE_LOG_LIMIT) {
+    authFailureWindow.suppressed++;
+    return;
+  }
+
+  const ip = req.ip || req.headers["x-forwarded-for"] || null;
+  console.warn("revenueCatWebhook: rejected - unauthorized", {
+    reason,
+    ip,
+    hasAuthHeader: !!req.headers.authorization,
+    suppressedInPreviousWindow: carried,
+  });
+
+  const hourKey = new Date(nowMs).toISOString().slice(0, 13);
+  try {
+    await db.collection(AUTH_FAILURES_COLLECTION).doc(hourKey).set({
+      hour: hourKey,
+      count: FieldValue.increment(1 + carried),
+      lastAttemptAt: new Date(nowMs),
+      lastIp: ip,
+      lastReason: reason,
+    }, {merge: true});
+  } catch (err) {
+    console.warn("revenueCatWebhook: failed to record auth failure", err.message);
+  }
+}
+
+module.exports = {
+  AUTH_FAILURES_COLLECTION,
+  validateAuth,
+  recordAuthFailure,
+};
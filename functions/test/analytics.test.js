@@ -0,0 +1,68 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {FieldValue} = require("firebase-admin/firestore");
+const {extractRevenue, buildMetrics} = require("../subscriptions/analytics");
+
+/**
+ * Asserts that metrics holds exactly the given FieldValue.increment operands.
+ * @param {object} metrics - From buildMetrics
+ * @param {Object<string, number>} expected - Field name -> increment operand
+ */
+function assertIncrements(metrics, expected) {
+  assert.deepEqual(Object.keys(metrics).sort(), Object.keys(expected).sort());
+  for (const [field, operand] of Object.entries(expected)) {
+    assert.ok(metrics[field].isEqual(FieldValue.increment(operand)), `${field} should increment by ${operand}`);
+  }
+}
+
+/**
+ * Builds metrics for an event the way recordDailyAggregate does.
+ * @param {object} event - RevenueCat-like event
+ * @param {object|null} [subscription] - Subscription built from the event
+ * @returns {object}
+ */
+function metricsFor(event, subscription = null) {
+  return buildMetrics(event, extractRevenue(event), subscription);
+}
+
+describe("buildMetrics", () => {
+  it("counts a purchase as gross and net revenue", () => {
+    const event = {type: "INITIAL_PURCHASE", price: 10, takehome_percentage: 0.7};
+    assertIncrements(metricsFor(event), {events: 1, grossRevenue: 10, netRevenue: 7});
+  });
+
+  it("counts a renewal and a trial conversion", () => {
+    const event = {type: "RENEWAL", price: 5, is_trial_conversion: true};
+    assertIncrements(metricsFor(event), {events: 1, grossRevenue: 5, netRevenue: 5, conversions: 1});
+  });
+
+  it("counts a refund as negative revenue", () => {
+    const event = {type: "CANCELLATION", cancel_reason: "CUSTOMER_SUPPORT", price: 10, takehome_percentage: 0.7};
+    assertIncrements(metricsFor(event), {
+      events: 1,
+      grossRevenue: -10,
+      netRevenue: -7,
+      refunds: 1,
+      refundAmount: 10,
+    });
+  });
+
+  it("does not count the price of non-charge events", () => {
+    const event = {type: "CANCELLATION", cancel_reason: "UNSUBSCRIBE", price: 10};
+    assertIncrements(metricsFor(event), {events: 1});
+    assertIncrements(metricsFor({type: "PRODUCT_CHANGE", price: 10}), {events: 1});
+  });
+
+  it("counts store and app-side trials as new trials", () => {
+    const storeTrial = {type: "INITIAL_PURCHASE", period_type: "TRIAL", price: 0};
+    assertIncrements(metricsFor(storeTrial), {events: 1, newTrials: 1});
+
+    const appTrial = {type: "INITIAL_PURCHASE", period_type: "NORMAL", price: 30};
+    assertIncrements(metricsFor(appTrial, {isOnTrial: true}), {
+      events: 1,
+      grossRevenue: 30,
+      netRevenue: 30,
+      newTrials: 1,
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {isStaleEvent} = require("../subscriptions/ledger");
+
+describe("isStaleEvent", () => {
+  const subscription = {lastCheckedAt: "2026-03-10T12:00:00.000Z"};
+  const lastCheckedMs = Date.parse(subscription.lastCheckedAt);
+
+  it("is stale when the event is older than lastCheckedAt", () => {
+    assert.equal(isStaleEvent({event_timestamp_ms: lastCheckedMs - 1}, subscription), true);
+  });
+
+  it("is not stale at or after lastCheckedAt", () => {
+    assert.equal(isStaleEvent({event_timestamp_ms: lastCheckedMs}, subscription), false);
+    assert.equal(isStaleEvent({event_timestamp_ms: lastCheckedMs + 1}, subscription), false);
+  });
+
+  it("accepts numeric strings as the event timestamp", () => {
+    assert.equal(isStaleEvent({event_timestamp_ms: String(lastCheckedMs - 1)}, subscription), true);
+  });
+
+  it("is never stale without a subscription or lastCheckedAt", () => {
+    assert.equal(isStaleEvent({event_timestamp_ms: 1}, null), false);
+    assert.equal(isStaleEvent({event_timestamp_ms: 1}, {lastCheckedAt: null}), false);
+    assert.equal(isStaleEvent({event_timestamp_ms: 1}, {lastCheckedAt: "not a date"}), false);
+  });
+
+  it("is never stale without an event timestamp", () => {
+    assert.equal(isStaleEvent({}, subscription), false);
+    assert.equal(isStaleEvent({event_timestamp_ms: 0}, subscription), false);
+  });
+});
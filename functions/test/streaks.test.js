@@ -0,0 +1,155 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  FREEZE_EARN_EVERY_DAYS,
+  MAX_STREAK_FREEZES,
+  PREMIUM_MAX_STREAK_FREEZES,
+  getTimeZoneOffsetMinutes,
+  applyStreakDay,
+  recomputeStreaksFromHistory,
+} = require("../streaks");
+
+describe("getTimeZoneOffsetMinutes", () => {
+  it("applies DST at the given instant", () => {
+    assert.equal(getTimeZoneOffsetMinutes("America/New_York", Date.parse("2026-07-01T12:00:00Z")), -240);
+    assert.equal(getTimeZoneOffsetMinutes("America/New_York", Date.parse("2026-01-15T12:00:00Z")), -300);
+  });
+
+  it("switches on the DST transition", () => {
+    // Europe/London moves to BST at 01:00 UTC on 2026-03-29
+    assert.equal(getTimeZoneOffsetMinutes("Europe/London", Date.parse("2026-03-29T00:59:00Z")), 0);
+    assert.equal(getTimeZoneOffsetMinutes("Europe/London", Date.parse("2026-03-29T01:00:00Z")), 60);
+  });
+
+  it("handles zones with non-hour offsets", () => {
+    assert.equal(getTimeZoneOffsetMinutes("Asia/Kathmandu", Date.parse("2026-07-01T12:00:00Z")), 345);
+    assert.equal(getTimeZoneOffsetMinutes("UTC", Date.parse("2026-07-01T12:00:00Z")), 0);
+  });
+
+  it("throws for an unknown zone", () => {
+    assert.throws(() => getTimeZoneOffsetMinutes("Mars/Olympus_Mons"), RangeError);
+  });
+});
+
+describe("applyStreakDay", () => {
+  it("extends the streak on a done day", () => {
+    const result = applyStreakDay(true, {currentStreak: 2, bestStreak: 2, streakFreezes: 0});
+    assert.deepEqual(result, {currentStreak: 3, bestStreak: 3, streakFreezes: 0, freezeUsed: false, freezesEarned: 0});
+  });
+
+  it("resets the streak on a missed day without freezes", () => {
+    const result = applyStreakDay(false, {currentStreak: 5, bestStreak: 8, streakFreezes: 0});
+    assert.deepEqual(result, {currentStreak: 0, bestStreak: 8, streakFreezes: 0, freezeUsed: false, freezesEarned: 0});
+  });
+
+  it("uses a freeze to keep the streak on a missed day", () => {
+    const result = applyStreakDay(false, {currentStreak: 5, bestStreak: 5, streakFreezes: 2});
+    assert.deepEqual(result, {currentStreak: 5, bestStreak: 5, streakFreezes: 1, freezeUsed: true, freezesEarned: 0});
+  });
+
+  it("does not use a freeze when there is no streak to keep", () => {
+    const result = applyStreakDay(false, {currentStreak: 0, bestStreak: 4, streakFreezes: 1});
+    assert.equal(result.freezeUsed, false);
+    assert.equal(result.streakFreezes, 1);
+  });
+
+  it("earns a freeze at every milestone, two for premium, up to the cap", () => {
+    const atMilestone = {currentStreak: FREEZE_EARN_EVERY_DAYS - 1, bestStreak: 0};
+    assert.equal(applyStreakDay(true, {...atMilestone, streakFreezes: 0}).freezesEarned, 1);
+
+    const premium = {...atMilestone, subscription: {isActive: true}};
+    assert.equal(applyStreakDay(true, {...premium, streakFreezes: 0}).freezesEarned, 2);
+
+    const full = applyStreakDay(true, {...atMilestone, streakFreezes: MAX_STREAK_FREEZES});
+    assert.equal(full.streakFreezes, MAX_STREAK_FREEZES);
+    assert.equal(full.freezesEarned, 0);
+
+    const premiumNearCap = applyStreakDay(true, {...premium, streakFreezes: PREMIUM_MAX_STREAK_FREEZES - 1});
+    assert.equal(premiumNearCap.streakFreezes, PREMIUM_MAX_STREAK_FREEZES);
+    assert.equal(premiumNearCap.freezesEarned, 1);
+  });
+});
+
+describe("recomputeStreaksFromHistory", () => {
+  const done = {hydration: true};
+
+  it("counts consecutive done days through throughDate", () => {
+    const days = [
+      {date: "2026-03-01", tasks: done},
+      {date: "2026-03-02", tasks: done},
+      {date: "2026-03-03", tasks: done},
+    ];
+    assert.deepEqual(recomputeStreaksFromHistory(days, "2026-03-03"), {
+      currentStreak: 3,
+      bestStreak: 3,
+      currentStreakStartedAt: "2026-03-01",
+      fromDate: "2026-03-01",
+      daysCounted: 3,
+    });
+  });
+
+  it("treats days without a record or without done tasks as missed", () => {
+    const days = [
+      {date: "2026-03-01", tasks: done},
+      {date: "2026-03-02", tasks: done},
+      // 2026-03-03 missing
+      {date: "2026-03-04", tasks: done},
+      {date: "2026-03-05", tasks: {hydration: false}},
+      {date: "2026-03-06", tasks: done},
+    ];
+    const result = recomputeStreaksFromHistory(days, "2026-03-06");
+    assert.equal(result.currentStreak, 1);
+    assert.equal(result.bestStreak, 2);
+    assert.equal(result.currentStreakStartedAt, "2026-03-06");
+    assert.equal(result.daysCounted, 6);
+  });
+
+  it("keeps the streak on frozen days", () => {
+    const days = [
+      {date: "2026-03-01", tasks: done},
+      {date: "2026-03-03", tasks: done},
+    ];
+    const result = recomputeStreaksFromHistory(days, "2026-03-03", {frozenDates: ["2026-03-02"]});
+    assert.equal(result.currentStreak, 2);
+    assert.equal(result.currentStreakStartedAt, "2026-03-01");
+  });
+
+  it("ignores days after throughDate and counts missed days up to it", () => {
+    const days = [
+      {date: "2026-03-01", tasks: done},
+      {date: "2026-03-05", tasks: done},
+    ];
+    const result = recomputeStreaksFromHistory(days, "2026-03-03");
+    assert.equal(result.currentStreak, 0);
+    assert.equal(result.bestStreak, 1);
+    assert.equal(result.currentStreakStartedAt, null);
+    assert.equal(result.daysCounted, 3);
+  });
+
+  it("uses the catalog's doneThreshold", () => {
+    const catalog = {
+      tasks: [
+        {key: "hydration", label: "stay hydrated", weight: 1, activeFrom: null, activeUntil: null},
+        {key: "sleep", label: "sleep well", weight: 2, activeFrom: null, activeUntil: null},
+      ],
+      doneThreshold: 2,
+    };
+    const days = [
+      {date: "2026-03-01", tasks: {sleep: true}},
+      {date: "2026-03-02", tasks: {hydration: true}},
+    ];
+    const result = recomputeStreaksFromHistory(days, "2026-03-02", {catalog});
+    assert.equal(result.currentStreak, 0);
+    assert.equal(result.bestStreak, 1);
+  });
+
+  it("returns an empty result without history", () => {
+    assert.deepEqual(recomputeStreaksFromHistory([], "2026-03-03"), {
+      currentStreak: 0,
+      bestStreak: 0,
+      currentStreakStartedAt: null,
+      fromDate: null,
+      daysCounted: 0,
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {SUBSCRIPTION_STATUS, PROMO_PLAN_TYPE, buildSubscriptionState} = require("../subscription");
+
+const NOW_MS = Date.parse("2026-03-10T12:00:00Z");
+const MONTHLY = {planType: "monthly", trialDays: 0, durationDays: 30};
+
+const stored = {
+  isActive: true,
+  status: SUBSCRIPTION_STATUS.ACTIVE,
+  willRenew: true,
+  planType: "monthly",
+  subscribedAt: "2026-03-01T00:00:00.000Z",
+  expiresAt: "2026-04-01T00:00:00.000Z",
+  isOnTrial: false,
+  trialEndsAt: null,
+  gracePeriodExpiresAt: null,
+  store: "APP_STORE",
+  environment: "PRODUCTION",
+  revenueCatUserId: "rc-user",
+  lastCheckedAt: "2026-03-01T00:00:00.000Z",
+};
+
+/**
+ * Builds a RevenueCat-like event at NOW_MS.
+ * @param {string} type - Event type
+ * @param {object} [fields] - Extra event fields
+ * @returns {object}
+ */
+function makeEvent(type, fields = {}) {
+  return {type, app_user_id: "rc-user", product_id: "monthly_1", event_timestamp_ms: NOW_MS, ...fields};
+}
+
+describe("buildSubscriptionState", () => {
+  it("keeps access until expiresAt on cancellation", () => {
+    const result = buildSubscriptionState(makeEvent("CANCELLATION"), MONTHLY, stored);
+    assert.equal(result.isActive, true);
+    assert.equal(result.status, SUBSCRIPTION_STATUS.CANCELLED_PENDING_EXPIRY);
+    assert.equal(result.willRenew, false);
+    assert.equal(result.expiresAt, stored.expiresAt);
+    assert.equal(result.lastCheckedAt, new Date(NOW_MS).toISOString());
+  });
+
+  it("expires a cancellation past expiresAt", () => {
+    const event = makeEvent("CANCELLATION", {expiration_at_ms: NOW_MS - 1000});
+    const result = buildSubscriptionState(event, MONTHLY, stored);
+    assert.equal(result.isActive, false);
+    assert.equal(result.status, SUBSCRIPTION_STATUS.EXPIRED);
+  });
+
+  it("moves a billing issue with a grace period into the grace period", () => {
+    const graceMs = NOW_MS + 3 * 24 * 60 * 60 * 1000;
+    const event = makeEvent("BILLING_ISSUE", {grace_period_expiration_at_ms: graceMs});
+    const result = buildSubscriptionState(event, MONTHLY, stored);
+    assert.equal(result.isActive, true);
+    assert.equal(result.status, SUBSCRIPTION_STATUS.IN_GRACE_PERIOD);
+    assert.equal(result.gracePeriodExpiresAt, new Date(graceMs).toISOString());
+  });
+
+  it("keeps access on a billing issue without a grace period until expiresAt", () => {
+    const result = buildSubscriptionState(makeEvent("BILLING_ISSUE"), MONTHLY, stored);
+    assert.equal(result.isActive, true);
+    assert.equal(result.status, SUBSCRIPTION_STATUS.BILLING_ISSUE);
+  });
+
+  it("pauses without renewal", () => {
+    const result = buildSubscriptionState(makeEvent("SUBSCRIPTION_PAUSED"), MONTHLY, stored);
+    assert.equal(result.status, SUBSCRIPTION_STATUS.PAUSED);
+    assert.equal(result.willRenew, false);
+  });
+
+  it("removes access on expiration", () => {
+    const result = buildSubscriptionState(makeEvent("EXPIRATION"), MONTHLY, {...stored, isOnTrial: true});
+    assert.equal(result.isActive, false);
+    assert.equal(result.status, SUBSCRIPTION_STATUS.EXPIRED);
+    assert.equal(result.willRenew, false);
+    assert.equal(result.isOnTrial, false);
+  });
+
+  it("applies the event to the RevenueCat subscription under an active promo", () => {
+    const promo = {
+      ...stored,
+      planType: PROMO_PLAN_TYPE,
+      promo: {reason: "comp", underlying: {...stored, planType: "yearly"}},
+    };
+    const result = buildSubscriptionState(makeEvent("CANCELLATION"), MONTHLY, promo);
+    assert.equal(result.planType, "yearly");
+    assert.equal(result.status, SUBSCRIPTION_STATUS.CANCELLED_PENDING_EXPIRY);
+  });
+
+  it("builds the subscription from the event without a stored one", () => {
+    const event = makeEvent("CANCELLATION", {
+      purchased_at_ms: Date.parse("2026-03-01T00:00:00Z"),
+      expiration_at_ms: Date.parse("2026-04-01T00:00:00Z"),
+    });
+    const result = buildSubscriptionState(event, MONTHLY, null);
+    assert.equal(result.planType, "monthly");
+    assert.equal(result.subscribedAt, "2026-03-01T00:00:00.000Z");
+    assert.equal(result.expiresAt, "2026-04-01T00:00:00.000Z");
+    assert.equal(result.status, SUBSCRIPTION_STATUS.CANCELLED_PENDING_EXPIRY);
+    assert.equal(result.revenueCatUserId, "rc-user");
+  });
+});
@@ -1,98 +1,296 @@
 /**
- * Scheduled function that runs daily (e.g. 2am Asia/Karachi), processes
- * yesterday's daily_tasks, and updates each user's currentStreak / bestStreak.
+ * Scheduled function that runs every hour and closes each user's local day
+ * once it has ended (user field "timezone", e.g. "America/New_York", "UTC+5"):
+ * each day's daily_tasks decide whether currentStreak / bestStreak go up or reset,
+ * and the same for each task's own streak in taskStreaks.
  * taskDate is normalized to YYYY-MM-DD where applicable.
  */
 
 const {onSchedule} = require("firebase-functions/v2/scheduler");
-const {getFirestore} = require("firebase-admin/firestore");
+const {getFirestore, FieldValue, FieldPath} = require("firebase-admin/firestore");
 const {
-  getYesterdayYMD,
+  getYesterdayYMDForOffset,
   getDayAfterYYYYMMDD,
+  getDayBeforeYYYYMMDD,
+  getNextStreakProcessAt,
   normalizeTaskDateToYYYYMMDD,
   isDayDone,
-  computeNewStreaks,
+  applyStreakDay,
+  applyTaskStreaksDay,
+  hasActiveTaskStreak,
   DAILY_TASKS_COLLECTION,
   USERS_COLLECTION,
-  DEFAULT_TIMEZONE,
 } = require("./streaks");
+const {dailyTaskHistoryRef, buildDailyTaskRecord, getDailyTaskHistory} = require("./dailyTasks/history");
+const {getTaskCatalog} = require("./config");
+const {buildStreakBreak} = require("./streakRepair");
+const {buildWeeklyDaysDoneUpdate} = require("./social/leaderboard");
 
-const BATCH_SIZE = 400;
+const BATCH_SIZE = 300;
+/** Most days closed in one go for a user the job fell behind on. */
+const MAX_CATCH_UP_DAYS = 3650;
+const BACKFILL_STATE_DOC = "config/streak_backfill";
 
 /**
- * Runs at 2:00 AM Asia/Karachi every day. Queries daily_tasks where taskDate
- * is yesterday, then for each doc (doc id = userId): if any of activity,
- * education, hydration, nutrition, recovery is true → increment currentStreak
- * and update bestStreak; else set currentStreak to 0. Writes lastStreakProcessedDate
- * and normalizes taskDate to YYYY-MM-DD on the daily_tasks doc for idempotency.
+ * Builds the users/{userId} update for a processed day (see streaks.applyStreakDay). A used
+ * freeze sets lastStreakFreezeUsedDate, which notifyStreakFreezeUsed watches (the caller adds
+ * the date to streakFreezesUsedDates). currentStreakStartedAt is the first day of the current
+ * run (null once it breaks); achievements use it to tell runs apart. A broken streak is kept
+ * in streakBreak so premium users can repair it (see streakRepair). A done day counts towards
+ * the week's global leaderboard (weeklyDaysDone).
+ * @param {object} day - Result of applyStreakDay
+ * @param {boolean} dayDone - Whether the day was done
+ * @param {string} dateYmd - The processed day (YYYY-MM-DD)
+ * @param {object} taskStreaks - Result of applyTaskStreaksDay
+ * @param {object} userData - users/{userId} data before the day
+ * @returns {object} Fields for users/{userId}
+ */
+function buildStreakUpdate(day, dayDone, dateYmd, taskStreaks, userData) {
+  let runFields = {};
+  if (day.currentStreak === 0) {
+    runFields = {currentStreakStartedAt: null};
+    if ((Number(userData.currentStreak) || 0) > 0) {
+      runFields.streakBreak = buildStreakBreak(userData, dateYmd, Date.now());
+    }
+  } else if (day.currentStreak === 1 && !day.freezeUsed) {
+    runFields = {currentStreakStartedAt: dateYmd};
+  }
+
+  return {
+    currentStreak: day.currentStreak,
+    bestStreak: day.bestStreak,
+    streakFreezes: day.streakFreezes,
+    taskStreaks,
+    lastStreakProcessedDate: dateYmd,
+    ...runFields,
+    ...(dayDone ? buildWeeklyDaysDoneUpdate(userData, dateYmd) : {}),
+    ...(day.freezeUsed ? {lastStreakFreezeUsedDate: dateYmd} : {}),
+  };
+}
+
+/**
+ * Closes one day for the user. tasks is the day's record (the daily_tasks doc or its archive);
+ * without one the user did nothing that day (archiveDailyTasks keeps every day they wrote), so
+ * the streak breaks.
+ * @param {object} userData - users/{userId} data before the day
+ * @param {object|null} tasks - The day's tasks, or null when there is no record of it
+ * @param {string} dateYmd - The day to close (YYYY-MM-DD)
+ * @param {{ tasks: object[], doneThreshold: number }} catalog - Task catalog (config.getTaskCatalog)
+ * @returns {{ fields: object, outcome: string, inactive: boolean }} fields for users/{userId};
+ *   outcome is "processed", "freeze_used", "reset_inactive" or "no_activity"
+ */
+function closeDay(userData, tasks, dateYmd, catalog) {
+  if (tasks) {
+    const dayDone = isDayDone(tasks, catalog, dateYmd);
+    const day = applyStreakDay(dayDone, userData);
+    const taskStreaks = applyTaskStreaksDay(tasks, userData, catalog, dateYmd);
+    return {
+      fields: buildStreakUpdate(day, dayDone, dateYmd, taskStreaks, userData),
+      outcome: day.freezeUsed ? "freeze_used" : "processed",
+      inactive: false,
+    };
+  }
+
+  if ((Number(userData.currentStreak) || 0) > 0) {
+    const day = applyStreakDay(false, userData);
+    const taskStreaks = applyTaskStreaksDay(null, userData, catalog, dateYmd);
+    return {
+      fields: buildStreakUpdate(day, false, dateYmd, taskStreaks, userData),
+      outcome: day.freezeUsed ? "freeze_used" : "reset_inactive",
+      inactive: true,
+    };
+  }
+  return {
+    fields: {
+      lastStreakProcessedDate: dateYmd,
+      ...(hasActiveTaskStreak(userData) ? {taskStreaks: applyTaskStreaksDay(null, userData, catalog, dateYmd)} : {}),
+    },
+    outcome: "no_activity",
+    inactive: true,
+  };
+}
+
+/**
+ * Closes every day from the one after lastStreakProcessedDate through the user's local
+ * yesterday in one transaction, so days the job missed count as missed (or done, from
+ * daily_task_history) instead of being skipped. lastStreakProcessedDate is set on both the
+ * user and the daily_tasks doc, so a day is never counted twice even when runs overlap or
+ * retry, and nextStreakProcessAt schedules the next run for the user. An inactive user with
+ * no streak left is made dormant: nextStreakProcessAt is removed, so the hourly query stops
+ * returning them.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentReference} userRef - users/{userId}
+ * @param {number} nowMs - Current time in ms
+ * @param {{ tasks: object[], doneThreshold: number }} catalog - Task catalog (config.getTaskCatalog)
+ * @returns {Promise<{ outcome: string, days: number }>} outcome of the last day closed ("processed",
+ *   "freeze_used", "reset_inactive", "no_activity"), or "dormant" or "already_processed"
+ */
+async function processUserDays(db, userRef, nowMs, catalog) {
+  const taskRef = db.collection(DAILY_TASKS_COLLECTION).doc(userRef.id);
+
+  return db.runTransaction(async (tx) => {
+    const [userSnap, taskSnap] = await tx.getAll(userRef, taskRef);
+    if (!userSnap.exists) return {outcome: "already_processed", days: 0};
+    const userData = userSnap.data();
+    const data = taskSnap.exists ? taskSnap.data() : {};
+    const yesterdayYmd = getYesterdayYMDForOffset(userData.timezone, nowMs);
+
+    // A user never processed starts at yesterday
+    const lastProcessed = [userData.lastStreakProcessedDate, data.lastStreakProcessedDate]
+      .filter(Boolean).sort().pop() || getDayBeforeYYYYMMDD(yesterdayYmd);
+    // ">=": a timezone change can move the local yesterday back onto a day already counted
+    if (lastProcessed >= yesterdayYmd) {
+      tx.update(userRef, {
+        lastStreakProcessedDate: lastProcessed,
+        nextStreakProcessAt: getNextStreakProcessAt(lastProcessed, userData.timezone),
+      });
+      return {outcome: "already_processed", days: 0};
+    }
+
+    const fromDate = getDayAfterYYYYMMDD(lastProcessed);
+    const history = await getDailyTaskHistory(db, userRef.id, {
+      from: fromDate,
+      to: yesterdayYmd,
+      limit: MAX_CATCH_UP_DAYS,
+    }, tx);
+    const archived = new Map(history.map((day) => [day.date, day]));
+    const taskDate = normalizeTaskDateToYYYYMMDD(data.taskDate);
+
+    let state = userData;
+    let update = {};
+    let last = null;
+    let days = 0;
+    const freezeDates = [];
+    for (let date = fromDate; date <= yesterdayYmd; date = getDayAfterYYYYMMDD(date)) {
+      // daily_tasks once it has moved on: the archived copy of the day decides
+      const tasks = taskDate === date ? data : archived.get(date)?.tasks ?? null;
+      last = closeDay(state, tasks, date, catalog);
+      if (last.fields.lastStreakFreezeUsedDate) freezeDates.push(date);
+      update = {...update, ...last.fields};
+      state = {...state, ...last.fields};
+      days++;
+    }
+
+    // Nothing done yesterday or today and nothing left to reset
+    const dormant = last.inactive && (!taskDate || taskDate < yesterdayYmd) &&
+      !(Number(state.currentStreak) > 0) && !hasActiveTaskStreak(state);
+    tx.update(userRef, {
+      ...update,
+      ...(freezeDates.length > 0 ? {streakFreezesUsedDates: FieldValue.arrayUnion(...freezeDates)} : {}),
+      nextStreakProcessAt: dormant ? FieldValue.delete() : getNextStreakProcessAt(yesterdayYmd, userData.timezone),
+    });
+    if (taskDate && taskDate >= fromDate && taskDate <= yesterdayYmd) {
+      tx.set(taskRef, {lastStreakProcessedDate: yesterdayYmd, taskDate}, {merge: true});
+      // Final state of the day, in case archiveDailyTasks missed a write
+      const archiveRef = dailyTaskHistoryRef(db, userRef.id, taskDate);
+      tx.set(archiveRef, buildDailyTaskRecord(userRef.id, data, archived.get(taskDate) || null, catalog));
+    }
+    return {outcome: dormant ? "dormant" : last.outcome, days};
+  });
+}
+
+/**
+ * Returns the next page of the one-off sweep over all users, for users not on the schedule
+ * (created before nextStreakProcessAt was kept on the user doc). Progress is kept in
+ * BACKFILL_STATE_DOC; once every user has been seen it returns nothing.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot[]>} Users without nextStreakProcessAt
+ */
+async function getBackfillPage(db) {
+  const stateRef = db.doc(BACKFILL_STATE_DOC);
+  const stateSnap = await stateRef.get();
+  const state = stateSnap.exists ? stateSnap.data() : {};
+  if (state.completedAt) return [];
+
+  let q = db.collection(USERS_COLLECTION).orderBy(FieldPath.documentId()).limit(BATCH_SIZE);
+  if (state.cursor) q = q.startAfter(state.cursor);
+  const snapshot = await q.get();
+
+  const next = snapshot.size === BATCH_SIZE ?
+    {cursor: snapshot.docs[snapshot.size - 1].id} :
+    {cursor: null, completedAt: new Date()};
+  await stateRef.set({...next, updatedAt: new Date()}, {merge: true});
+  return snapshot.docs.filter((doc) => !doc.get("nextStreakProcessAt"));
+}
+
+/**
+ * Processes one user returned by the hourly query or the backfill.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} doc - users/{userId}
+ * @param {number} nowMs - Current time in ms
+ * @param {{ tasks: object[], doneThreshold: number }} catalog - Task catalog (config.getTaskCatalog)
+ * @param {Object<string, number>} counts - Run counters, updated in place
+ * @returns {Promise<void>}
+ */
+async function processUser(db, doc, nowMs, catalog, counts) {
+  try {
+    const {outcome, days} = await processUserDays(db, doc.ref, nowMs, catalog);
+    counts[outcome]++;
+    counts.days += days;
+  } catch (e) {
+    console.warn("updateUserStreaksDaily: skip user " + doc.id, e);
+    counts.errors++;
+  }
+}
+
+/**
+ * Runs every hour. Queries the users whose nextStreakProcessAt (their next local midnight after
+ * an unprocessed day) has passed and, for each day from the one after lastStreakProcessedDate
+ * through their local yesterday (from users.timezone, DST-aware), reads daily_tasks/{userId}
+ * (or the archived day in daily_task_history once the doc has moved on): if the day is done
+ * under the task catalog (by default any of activity, education, hydration, nutrition, recovery
+ * true) → increment currentStreak and update bestStreak; else set currentStreak to 0. Each
+ * task's streak in taskStreaks goes up or resets the same way by whether that task was done.
+ * Users with a streak and no record of a day at all (neither daily_tasks nor its archive) are
+ * reset the same way. A missed day consumes a streak freeze instead of resetting when
+ * the user has one. Dormant users (no nextStreakProcessAt) are not read until archiveDailyTasks
+ * sees their next day of activity; users who never had it are picked up by the backfill, a
+ * page per run.
  */
 const updateUserStreaksDaily = onSchedule(
   {
-    schedule: "0 2 * * *",
-    timeZone: DEFAULT_TIMEZONE,
+    schedule: "0 * * * *",
     region: "us-central1",
+    timeoutSeconds: 540,
   },
   async () => {
     const db = getFirestore();
-    const yesterdayStr = getYesterdayYMD(DEFAULT_TIMEZONE);
-    const dayAfter = getDayAfterYYYYMMDD(yesterdayStr);
-
-    const dailyTasksRef = db.collection(DAILY_TASKS_COLLECTION);
-    const snapshot = await dailyTasksRef
-      .where("taskDate", ">=", yesterdayStr)
-      .where("taskDate", "<", dayAfter)
-      .get();
-
-    const updates = [];
-    for (const doc of snapshot.docs) {
-      const data = doc.data();
-      if (data.lastStreakProcessedDate === yesterdayStr) continue;
-      const userId = doc.id;
-      const dayDone = isDayDone(data);
-      const normalizedTaskDate = normalizeTaskDateToYYYYMMDD(data.taskDate);
-
-      const userRef = db.collection(USERS_COLLECTION).doc(userId);
-      let userSnap;
-      try {
-        userSnap = await userRef.get();
-      } catch (e) {
-        console.warn("updateUserStreaksDaily: skip user " + userId, e);
-        continue;
-      }
-      const userData = userSnap.exists ? userSnap.data() : {};
-      const {currentStreak, bestStreak} = computeNewStreaks(
-        dayDone,
-        userData.currentStreak,
-        userData.bestStreak,
-      );
-
-      updates.push({
-        userId,
-        userUpdate: {currentStreak, bestStreak},
-        taskUpdate: {
-          lastStreakProcessedDate: yesterdayStr,
-          ...(normalizedTaskDate ? {taskDate: normalizedTaskDate} : {}),
-        },
-      });
-    }
+    const nowMs = Date.now();
+    const catalog = await getTaskCatalog(db);
+    const counts = {
+      processed: 0,
+      freeze_used: 0,
+      reset_inactive: 0,
+      no_activity: 0,
+      dormant: 0,
+      already_processed: 0,
+      errors: 0,
+      days: 0,
+    };
+    let lastDoc = null;
+
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      let q = db.collection(USERS_COLLECTION)
+        .where("nextStreakProcessAt", "<=", new Date(nowMs))
+        .orderBy("nextStreakProcessAt")
+        .orderBy(FieldPath.documentId())
+        .limit(BATCH_SIZE);
+      if (lastDoc) q = q.startAfter(lastDoc);
+      const snapshot = await q.get();
+      if (snapshot.empty) break;
 
-    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
-      const writeBatch = db.batch();
-      const chunk = updates.slice(i, i + BATCH_SIZE);
-      for (const {userId, userUpdate, taskUpdate} of chunk) {
-        writeBatch.set(
-          db.collection(USERS_COLLECTION).doc(userId),
-          userUpdate,
-          {merge: true},
-        );
-        writeBatch.set(
-          db.collection(DAILY_TASKS_COLLECTION).doc(userId),
-          taskUpdate,
-          {merge: true},
-        );
+      for (const doc of snapshot.docs) {
+        lastDoc = doc;
+        await processUser(db, doc, nowMs, catalog, counts);
       }
-      await writeBatch.commit();
+      if (snapshot.docs.length < BATCH_SIZE) break;
     }
+
+    const backfill = await getBackfillPage(db);
+    for (const doc of backfill) await processUser(db, doc, nowMs, catalog, counts);
+
+    console.log("updateUserStreaksDaily: run complete", {...counts, backfilled: backfill.length});
   },
 );
 
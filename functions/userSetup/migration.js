@@ -2,10 +2,15 @@
  * User ID migration: migrates guest user data to a real authenticated user.
  * - Updates the user document's id field to newUserId
  * - Updates userId in daily_tasks, face-analysis, meal-analysis collections
+ * - Moves users/{docId} subcollections (subscription_history, daily_task_history, achievements, friends,
+ *   streak_repairs, fcm_tokens) to the new user doc and points the friends' mirror documents at it
+ * - Replays RevenueCat events parked under the old user ID
  */
 
 const {getFirestore} = require("firebase-admin/firestore");
 const {getAuth} = require("firebase-admin/auth");
+const {replayPendingEvents} = require("../subscriptions/replay");
+const {repointFriendMirrors, deleteFriendMirrors} = require("../social/friends");
 
 // Logging utility for consistent prefixed logs
 const log = {
@@ -24,6 +29,19 @@ const STORAGE_FOLDERS = ["meals", "selfies"];
 // Field name for user ID in users collection
 const USERS_ID_FIELD = "id";
 
+// Subcollections under users/{docId} that move with the user document
+const USER_SUBCOLLECTIONS = [
+  "subscription_history",
+  "daily_task_history",
+  "achievements",
+  "friends",
+  "streak_repairs",
+  "fcm_tokens",
+];
+
+// Max documents per batch when moving subcollections (each doc is a set + a delete)
+const MOVE_BATCH_SIZE = 250;
+
 /**
  * Finds the existing user document by document ID or by `id` field.
  */
@@ -126,6 +144,32 @@ async function updateCollectionUserIds(firestore, collectionName, oldUserId, new
   return updateCount;
 }
 
+/**
+ * Moves every document in USER_SUBCOLLECTIONS from the old user doc to the new one.
+ */
+async function moveUserSubcollections(firestore, oldUserRef, newUserRef) {
+  const results = {};
+
+  for (const name of USER_SUBCOLLECTIONS) {
+    const snapshot = await oldUserRef.collection(name).get();
+    log.info(`moveUserSubcollections: "${name}" - found ${snapshot.size} docs under "${oldUserRef.path}"`);
+
+    for (let i = 0; i < snapshot.docs.length; i += MOVE_BATCH_SIZE) {
+      const batch = firestore.batch();
+      for (const docSnap of snapshot.docs.slice(i, i + MOVE_BATCH_SIZE)) {
+        batch.set(newUserRef.collection(name).doc(docSnap.id), docSnap.data());
+        batch.delete(docSnap.ref);
+      }
+      await batch.commit();
+    }
+
+    results[name] = snapshot.size;
+  }
+
+  log.info(`moveUserSubcollections: Moved ${JSON.stringify(results)} to "${newUserRef.path}"`);
+  return results;
+}
+
 /**
  * Performs the migration:
  * 1. Find old user document and update its id field (if exists)
@@ -177,6 +221,7 @@ async function migrateUser(oldUserId, newUserId, db) {
 
   let userDocMigrated = false;
   let newDocId = null;
+  let subcollectionResults = {};
 
   if (found) {
     const {ref: oldUserRef, data: oldUserData} = found;
@@ -194,6 +239,11 @@ async function migrateUser(oldUserId, newUserId, db) {
     newDocId = newDocRef.id;
     log.info(`migrateUser: Created new user document with ID="${newDocId}"`);
 
+    log.info("migrateUser: Moving user subcollections to the new document...");
+    subcollectionResults = await moveUserSubcollections(firestore, oldUserRef, newDocRef);
+    const friendMirrors = await repointFriendMirrors(firestore, oldUserRef.id, newDocRef, newUserIdTrimmed);
+    log.info(`migrateUser: Repointed ${friendMirrors} friend mirror documents`);
+
     log.info(`migrateUser: Deleting old user document at path="${oldUserRef.path}"...`);
     await oldUserRef.delete();
     log.info("migrateUser: Old user document deleted");
@@ -221,6 +271,20 @@ async function migrateUser(oldUserId, newUserId, db) {
     log.info(`migrateUser: "${collName}" - updated ${count} documents`);
   }
 
+  // ==================== Step 3: Replay parked RevenueCat events ====================
+  // Purchases made as the guest may have arrived before any user doc had this id
+  log.info("=".repeat(70));
+  log.info("migrateUser: Step 3 - Replaying parked RevenueCat events...");
+  log.info("=".repeat(70));
+
+  let replayResults = null;
+  try {
+    replayResults = await replayPendingEvents(firestore, oldUserIdTrimmed, newUserIdTrimmed);
+    log.info(`migrateUser: Replayed ${replayResults.replayed} parked events, ${replayResults.remaining} remaining`);
+  } catch (err) {
+    log.error("migrateUser: Failed to replay parked RevenueCat events:", err.message);
+  }
+
   // ==================== DEBUG: Check state AFTER migration ====================
   log.info("=".repeat(70));
   log.info("migrateUser: DEBUG - Checking state of all collections AFTER migration");
@@ -240,7 +304,7 @@ async function migrateUser(oldUserId, newUserId, db) {
   log.info(`migrateUser: Collection updates: ${JSON.stringify(updateResults)}`);
   log.info("=".repeat(70));
 
-  return {ok: true, userDocMigrated, newDocId, updateResults};
+  return {ok: true, userDocMigrated, newDocId, subcollectionResults, updateResults, replayResults};
 }
 
 /**
@@ -547,9 +611,11 @@ async function deleteUser(userId, db) {
       });
     }
 
-    // 3. Delete user document
+    // 3. Delete user document (and its subcollections, e.g. subscription_history, daily_task_history)
+    //    after removing the user from their friends' lists
     if (userDoc) {
-      await userDoc.delete();
+      await deleteFriendMirrors(firestore, userDoc);
+      await firestore.recursiveDelete(userDoc);
       deleted.users = 1;
       console.log("[deleteUser] Deleted user document", {
         documentId: userDoc.id,
@@ -615,4 +681,5 @@ module.exports = {
   migrateUser,
   deleteUser,
   COLLECTIONS_TO_UPDATE,
+  USER_SUBCOLLECTIONS,
 };
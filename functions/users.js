@@ -0,0 +1,29 @@
+/**
+ * Lookup helpers for users/{docId}. The app's user ID (Firebase UID / RevenueCat
+ * app user ID) is stored in the "id" field and may differ from the document ID
+ * (e.g. after migrateUser creates a new auto-ID document).
+ */
+
+const USERS_COLLECTION = "users";
+const USERS_ID_FIELD = "id";
+
+/**
+ * Finds a user document by document ID, then by the "id" field.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Document ID or app user ID
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+async function findUserDoc(db, userId) {
+  const usersColl = db.collection(USERS_COLLECTION);
+  const snap = await usersColl.doc(userId).get();
+  if (snap.exists) return snap;
+
+  const byIdField = await usersColl.where(USERS_ID_FIELD, "==", userId).limit(1).get();
+  return byIdField.empty ? null : byIdField.docs[0];
+}
+
+module.exports = {
+  USERS_COLLECTION,
+  USERS_ID_FIELD,
+  findUserDoc,
+};